@@ -0,0 +1,2486 @@
+const express = require('express');
+const http = require('http');
+const socketIo = require('socket.io');
+const cors = require('cors');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const proxyaddr = require('proxy-addr');
+const { v4: uuidv4 } = require('uuid');
+require('dotenv').config();
+const { createProviderRegistry } = require('./translation/providers');
+const { createHealthTracker } = require('./translation/health');
+const { createTranslationCache } = require('./translation/cache');
+const { detectLanguage } = require('./translation/detector');
+const { createGlossaryStore, validateGlossary, protectTerms, restoreTerms, MIN_OWNER_TOKEN_LENGTH } = require('./translation/glossary');
+const { createTranslationMemory } = require('./translation/memory');
+const { createRoomStore } = require('./rooms/store');
+const { createSessionRegistry } = require('./rooms/sessions');
+const { createRoomAccess, MIN_PASSWORD_LENGTH } = require('./rooms/access');
+const { createFloorControl } = require('./rooms/floor');
+const { createRoomPresence } = require('./rooms/presence');
+const { TRANSCRIPT_FORMATS, formatTranscript } = require('./rooms/transcript');
+const { createWebhooks, validateWebhook } = require('./rooms/webhooks');
+const { createApiKeys, validateApiKey } = require('./auth/api-keys');
+const { createStateStore } = require('./state/store');
+const { createStateStoreAdapter } = require('./state/adapter');
+const { createRealtime } = require('./realtime/transport');
+
+// The whole app: translation pipeline, rooms, REST routes and Socket.IO events.
+// server.js (standalone Node) and netlify/functions/server.js (serverless) are thin
+// entry points around it; neither should grow routes or handlers of its own.
+
+const PUBLIC_DIR = path.join(__dirname, '..', 'public');
+
+// CORS_ORIGINS: comma-separated allowed origins, any origin when unset
+const corsOrigins = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+// Browsers only let pages read the rate limit and quota headers when they are exposed
+const exposedHeaders = ["X-RateLimit-Limit", "X-RateLimit-Remaining", "X-Quota-Limit", "X-Quota-Remaining", "X-Quota-Reset", "Retry-After"];
+const corsOptions = corsOrigins.length
+  ? { origin: corsOrigins, methods: ["GET", "POST"], exposedHeaders, credentials: true }
+  : { origin: "*", methods: ["GET", "POST"], exposedHeaders };
+
+const app = express();
+
+// TRUST_PROXY: behind a reverse proxy or a host such as Netlify, which proxy hops to trust for
+// the caller's address (true, a hop count, or addresses as Express takes them); unset trusts none
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', trustProxy === 'true' ? true : /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
+
+const server = http.createServer(app);
+const io = socketIo(server, {
+  cors: corsOptions
+});
+
+// Shared state store (see lib/state) for rooms, glossaries, the translation memory and
+// quotas. With STATE_BACKEND=hub or redis several server processes share it, and the
+// Socket.IO adapter relays room broadcasts between them.
+const stateStore = createStateStore();
+if ((process.env.STATE_BACKEND || 'memory') !== 'memory') {
+  io.adapter(createStateStoreAdapter(stateStore));
+}
+
+// Middleware
+app.use(cors(corsOptions));
+app.use(express.json());
+app.use(express.static(PUBLIC_DIR));
+
+// Routes
+app.get('/', (req, res) => {
+  res.sendFile(path.join(PUBLIC_DIR, 'index.html'));
+});
+
+// Caption overlay for OBS and other browser sources: /captions?room=ID&lang=es
+app.get('/captions', (req, res) => {
+  res.sendFile(path.join(PUBLIC_DIR, 'captions.html'));
+});
+
+// Translation API endpoint using free services
+app.post('/api/translate', apiKeyLimits(req => textLength(req.body.text)), async (req, res) => {
+  try {
+    const { text, targetLanguage, sourceLanguage } = req.body;
+    if (typeof text !== 'string' || !text.trim()) {
+      return res.status(400).json({ success: false, error: 'text is required' });
+    }
+    if (typeof targetLanguage !== 'string' || !targetLanguage) {
+      return res.status(400).json({ success: false, error: 'targetLanguage is required' });
+    }
+    
+    // Use the configured translation providers with fallbacks
+    const translation = await translateSegment(text, sourceLanguage, targetLanguage, { glossaryIds: glossaryIdsFrom(req.body) });
+    
+    res.json({
+      success: true,
+      originalText: text,
+      translatedText: translation.translatedText,
+      sourceLanguage: translation.sourceLanguage,
+      targetLanguage,
+      service: translation.provider,
+      fromCache: translation.fromCache,
+      glossaryTerms: translation.glossaryTerms,
+      memoryMatches: translation.memoryMatches,
+      ...detectionFields(translation.detection)
+    });
+  } catch (error) {
+    console.error('Translation error:', error);
+    refundApiQuota(req);
+    res.status(500).json({
+      success: false,
+      error: 'Translation failed',
+      message: error.message
+    });
+  }
+});
+
+// Detect the language of a piece of text, best candidates first
+app.post('/api/detect', (req, res) => {
+  const { text, limit } = req.body || {};
+  
+  if (typeof text !== 'string' || !text.trim()) {
+    return res.status(400).json({ success: false, error: 'text is required' });
+  }
+  
+  const detection = detectLanguage(text, {
+    limit: Math.min(Number(limit) || 5, 20),
+    minConfidence: DETECTION_MIN_CONFIDENCE
+  });
+  
+  res.json({ success: true, ...detection });
+});
+
+// Extra response fields when the source language was detected
+function detectionFields(detection) {
+  if (!detection) return {};
+  return {
+    detectedLanguage: detection.language,
+    detectionConfidence: detection.confidence
+  };
+}
+
+// Glossaries: per-pair term mappings and do-not-translate lists
+const glossaryStore = createGlossaryStore(process.env, stateStore);
+
+// Whoever manages glossaries: an API key (X-API-Key) or an owner token (Authorization: Bearer)
+async function glossaryOwner(req) {
+  const key = req.get('X-API-Key');
+  const record = key ? await apiKeys.authenticate(key) : null;
+  if (key && !record) return { error: 'Invalid or revoked API key' };
+  return { keyId: record ? record.id : null, token: bearerToken(req) };
+}
+
+// Middleware: load the glossary into req.glossary when the caller owns it
+async function ownGlossary(req, res, next) {
+  try {
+    const owner = await glossaryOwner(req);
+    if (owner.error) {
+      return res.status(401).json({ success: false, error: owner.error });
+    }
+    
+    const glossary = glossaryStore.get(req.params.id);
+    if (!glossary) {
+      return res.status(404).json({ success: false, error: 'Glossary not found' });
+    }
+    if (!glossaryStore.isOwner(glossary, owner)) {
+      return res.status(403).json({ success: false, error: 'Only the glossary owner can do this' });
+    }
+    
+    req.glossary = glossary;
+    next();
+  } catch (error) {
+    console.error('Glossary owner check error:', error);
+    res.status(500).json({ success: false, error: 'Failed to check glossary owner' });
+  }
+}
+
+// The caller's own glossaries
+app.get('/api/glossaries', async (req, res) => {
+  try {
+    const owner = await glossaryOwner(req);
+    if (owner.error) {
+      return res.status(401).json({ success: false, error: owner.error });
+    }
+    
+    res.json({ success: true, glossaries: glossaryStore.listOwned(owner).map(glossary => glossaryStore.describe(glossary)) });
+  } catch (error) {
+    console.error('List glossaries error:', error);
+    res.status(500).json({ success: false, error: 'Failed to list glossaries' });
+  }
+});
+
+// Without an API key or an owner token of their own, the creator gets `ownerToken` back once
+app.post('/api/glossaries', async (req, res) => {
+  try {
+    const error = validateGlossary(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+    
+    const owner = await glossaryOwner(req);
+    if (owner.error) {
+      return res.status(401).json({ success: false, error: owner.error });
+    }
+    if (!owner.keyId && owner.token && owner.token.length < MIN_OWNER_TOKEN_LENGTH) {
+      return res.status(400).json({ success: false, error: `Owner tokens need at least ${MIN_OWNER_TOKEN_LENGTH} characters` });
+    }
+    
+    const { glossary, ownerToken } = glossaryStore.create(req.body, owner);
+    res.status(201).json({ success: true, glossary: glossaryStore.describe(glossary), ...(ownerToken && { ownerToken }) });
+  } catch (error) {
+    console.error('Create glossary error:', error);
+    res.status(500).json({ success: false, error: 'Failed to create glossary' });
+  }
+});
+
+app.get('/api/glossaries/:id', ownGlossary, (req, res) => {
+  res.json({ success: true, glossary: glossaryStore.describe(req.glossary) });
+});
+
+app.put('/api/glossaries/:id', ownGlossary, (req, res) => {
+  const error = validateGlossary(req.body);
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+  
+  const glossary = glossaryStore.update(req.params.id, req.body);
+  res.json({ success: true, glossary: glossaryStore.describe(glossary) });
+});
+
+app.delete('/api/glossaries/:id', ownGlossary, (req, res) => {
+  glossaryStore.remove(req.params.id);
+  res.json({ success: true });
+});
+
+// Add or replace a single term: { sourceLang, targetLang, source, target }
+app.post('/api/glossaries/:id/terms', ownGlossary, (req, res) => {
+  const { sourceLang, targetLang, source, target } = req.body || {};
+  if (!sourceLang || !targetLang || typeof source !== 'string' || !source.trim() || typeof target !== 'string') {
+    return res.status(400).json({ success: false, error: 'sourceLang, targetLang, source and target are required' });
+  }
+  
+  const glossary = glossaryStore.setTerm(req.params.id, sourceLang, targetLang, source.trim(), target);
+  res.json({ success: true, glossary: glossaryStore.describe(glossary) });
+});
+
+app.delete('/api/glossaries/:id/terms', ownGlossary, (req, res) => {
+  const { sourceLang, targetLang, source } = req.body || {};
+  const glossary = glossaryStore.removeTerm(req.params.id, sourceLang, targetLang, source);
+  res.json({ success: true, glossary: glossaryStore.describe(glossary) });
+});
+
+// Accept `glossaryIds: [...]` or a single `glossaryId`
+function glossaryIdsFrom(body) {
+  if (!body) return [];
+  if (Array.isArray(body.glossaryIds)) return body.glossaryIds.filter(id => typeof id === 'string');
+  return typeof body.glossaryId === 'string' ? [body.glossaryId] : [];
+}
+
+// Translation memory: approved segments reused before any provider call
+const translationMemory = createTranslationMemory(process.env, stateStore);
+const TM_MIN_MATCH = Number(process.env.TM_MIN_MATCH) || 70;
+const TM_REUSE_THRESHOLD = Number(process.env.TM_REUSE_THRESHOLD) || 100;
+
+function memoryMatchFields(match) {
+  return {
+    id: match.segment.id,
+    score: match.score,
+    source: match.segment.source,
+    target: match.segment.target
+  };
+}
+
+// Writes from the admin (TM_ADMIN_TOKEN) are approved at once; anyone else's wait in the
+// pending queue until the admin approves them
+function isMemoryAdmin(req) {
+  return translationMemory.isAdmin(bearerToken(req));
+}
+
+function memoryAdminRefusal(req) {
+  return isMemoryAdmin(req)
+    ? null
+    : { status: 403, error: 'This needs the translation memory admin token (TM_ADMIN_TOKEN)' };
+}
+
+// ?status=pending lists suggestions waiting for approval (admin only)
+app.get('/api/memory', (req, res) => {
+  const { sourceLang, targetLang, q, status } = req.query;
+  const limit = Math.min(Number(req.query.limit) || 100, 1000);
+  const offset = Number(req.query.offset) || 0;
+  
+  if (status === 'pending') {
+    const refusal = memoryAdminRefusal(req);
+    if (refusal) {
+      return res.status(refusal.status).json({ success: false, error: refusal.error });
+    }
+    return res.json({ success: true, ...translationMemory.listPending({ limit, offset }) });
+  }
+  
+  const result = translationMemory.list({ sourceLang, targetLang, q, limit, offset });
+  res.json({ success: true, ...result });
+});
+
+// Add segments: a single { source, target, sourceLang, targetLang } or { segments: [...] }
+app.post('/api/memory', (req, res) => {
+  const entries = Array.isArray(req.body && req.body.segments) ? req.body.segments : [req.body];
+  const invalid = entries.findIndex(entry => !isMemoryEntry(entry));
+  if (invalid !== -1) {
+    return res.status(400).json({ success: false, error: `Segment ${invalid} needs source, target, sourceLang and targetLang` });
+  }
+  
+  if (!isMemoryAdmin(req)) {
+    return res.status(202).json({ success: true, pending: true, segments: translationMemory.suggest(entries, 'user') });
+  }
+  
+  const segments = translationMemory.addMany(entries, 'user');
+  segments.forEach(segment => translationCache.invalidate(segment.source, segment.sourceLang, segment.targetLang));
+  res.status(201).json({ success: true, segments });
+});
+
+app.post('/api/memory/:id/approve', (req, res) => {
+  const refusal = memoryAdminRefusal(req);
+  if (refusal) {
+    return res.status(refusal.status).json({ success: false, error: refusal.error });
+  }
+  
+  const segment = translationMemory.approve(req.params.id);
+  if (!segment) {
+    return res.status(404).json({ success: false, error: 'Suggestion not found' });
+  }
+  
+  translationCache.invalidate(segment.source, segment.sourceLang, segment.targetLang);
+  res.json({ success: true, segment });
+});
+
+app.post('/api/memory/lookup', (req, res) => {
+  const { text, sourceLang, targetLang, minScore, limit } = req.body || {};
+  if (typeof text !== 'string' || !text.trim() || !sourceLang || !targetLang) {
+    return res.status(400).json({ success: false, error: 'text, sourceLang and targetLang are required' });
+  }
+  
+  const matches = translationMemory.lookup(text, sourceLang, targetLang, {
+    minScore: Number(minScore) || TM_MIN_MATCH,
+    limit: Math.min(Number(limit) || 5, 50)
+  });
+  
+  res.json({ success: true, matches: matches.map(memoryMatchFields) });
+});
+
+// A user fixed a translation: store it (or suggest it) and drop the stale cache entry
+app.post('/api/memory/corrections', (req, res) => {
+  if (!isMemoryEntry(req.body)) {
+    return res.status(400).json({ success: false, error: 'source, target, sourceLang and targetLang are required' });
+  }
+  
+  const { source, target, sourceLang, targetLang, author } = req.body;
+  if (!isMemoryAdmin(req)) {
+    const [segment] = translationMemory.suggest([{ source, target, sourceLang, targetLang, author }], 'correction');
+    return res.status(202).json({ success: true, pending: true, segment });
+  }
+  
+  const segment = translationMemory.add({ source, target, sourceLang, targetLang, author, origin: 'correction' });
+  translationCache.invalidate(source, sourceLang, targetLang);
+  
+  res.json({ success: true, segment });
+});
+
+// Removes a segment or rejects a pending suggestion
+app.delete('/api/memory/:id', (req, res) => {
+  const refusal = memoryAdminRefusal(req);
+  if (refusal) {
+    return res.status(refusal.status).json({ success: false, error: refusal.error });
+  }
+  
+  if (!translationMemory.remove(req.params.id)) {
+    return res.status(404).json({ success: false, error: 'Segment not found' });
+  }
+  
+  res.json({ success: true });
+});
+
+// Import items saved by the client's history (saveToHistory)
+app.post('/api/memory/import/history', (req, res) => {
+  const items = Array.isArray(req.body) ? req.body : req.body && req.body.items;
+  if (!Array.isArray(items)) {
+    return res.status(400).json({ success: false, error: 'items must be an array of history items' });
+  }
+  
+  const approved = isMemoryAdmin(req);
+  const segments = translationMemory.importHistory(items, { approved });
+  res.json({ success: true, imported: segments.length, skipped: items.length - segments.length, pending: !approved });
+});
+
+app.post('/api/memory/import/tmx', express.text({ type: ['application/xml', 'text/xml', 'application/x-tmx+xml', 'text/plain'], limit: '10mb' }), (req, res) => {
+  const refusal = memoryAdminRefusal(req);
+  if (refusal) {
+    return res.status(refusal.status).json({ success: false, error: refusal.error });
+  }
+  
+  const xml = typeof req.body === 'string' ? req.body : req.body && req.body.tmx;
+  
+  try {
+    const segments = translationMemory.importTmx(xml);
+    res.json({ success: true, imported: segments.length });
+  } catch (error) {
+    res.status(400).json({ success: false, error: 'Invalid TMX', message: error.message });
+  }
+});
+
+app.get('/api/memory/export/tmx', (req, res) => {
+  const { sourceLang, targetLang } = req.query;
+  
+  res.set('Content-Type', 'application/x-tmx+xml; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="translation-memory${sourceLang ? `-${sourceLang}` : ''}${targetLang ? `-${targetLang}` : ''}.tmx"`);
+  res.send(translationMemory.exportTmx({ sourceLang, targetLang }));
+});
+
+function isMemoryEntry(entry) {
+  return !!entry &&
+    typeof entry.source === 'string' && !!entry.source.trim() &&
+    typeof entry.target === 'string' && !!entry.target.trim() &&
+    typeof entry.sourceLang === 'string' && !!entry.sourceLang &&
+    typeof entry.targetLang === 'string' && !!entry.targetLang;
+}
+
+// Batch translation: per-item results in request order, identical items translated once
+const MAX_BATCH_ITEMS = Number(process.env.MAX_BATCH_ITEMS) || 100;
+const BATCH_CONCURRENCY = 4;
+
+app.post('/api/translate/batch', apiKeyLimits(req => {
+  const { items } = req.body || {};
+  return Array.isArray(items) && items.length <= MAX_BATCH_ITEMS
+    ? items.reduce((sum, item) => sum + textLength(item && item.text), 0)
+    : 0;
+}), async (req, res) => {
+  const { items } = req.body || {};
+  
+  if (!Array.isArray(items) || items.length === 0) {
+    return res.status(400).json({ success: false, error: 'items must be a non-empty array' });
+  }
+  if (items.length > MAX_BATCH_ITEMS) {
+    return res.status(400).json({ success: false, error: `At most ${MAX_BATCH_ITEMS} items per batch` });
+  }
+  
+  // Accept the same field names as /api/translate as well as the client's short ones
+  const requests = items.map(item => ({
+    text: item && item.text,
+    sourceLang: item && (item.sourceLang || item.sourceLanguage),
+    targetLang: item && (item.targetLang || item.targetLanguage)
+  }));
+  
+  const unique = new Map();
+  requests.forEach(request => {
+    if (typeof request.text !== 'string' || !request.text.trim() || !request.targetLang) return;
+    const key = translationCache.key(request.text, request.sourceLang, request.targetLang);
+    if (!unique.has(key)) unique.set(key, request);
+  });
+  
+  const glossaryIds = glossaryIdsFrom(req.body);
+  const outcomes = new Map();
+  await mapWithConcurrency(Array.from(unique.entries()), BATCH_CONCURRENCY, async ([key, request]) => {
+    try {
+      outcomes.set(key, { translation: await translateSegment(request.text, request.sourceLang, request.targetLang, { glossaryIds }) });
+    } catch (error) {
+      outcomes.set(key, { error });
+    }
+  });
+  
+  const results = requests.map((request, index) => {
+    if (typeof request.text !== 'string' || !request.text.trim()) {
+      return { index, success: false, error: 'text is required' };
+    }
+    if (!request.targetLang) {
+      return { index, success: false, error: 'targetLang is required' };
+    }
+    
+    const outcome = outcomes.get(translationCache.key(request.text, request.sourceLang, request.targetLang));
+    if (outcome.error) {
+      return { index, success: false, error: 'Translation failed', message: outcome.error.message };
+    }
+    
+    return {
+      index,
+      success: true,
+      originalText: request.text,
+      translatedText: outcome.translation.translatedText,
+      sourceLanguage: outcome.translation.sourceLanguage,
+      targetLanguage: request.targetLang,
+      service: outcome.translation.provider,
+      fromCache: outcome.translation.fromCache,
+      glossaryTerms: outcome.translation.glossaryTerms,
+      memoryMatches: outcome.translation.memoryMatches,
+      ...detectionFields(outcome.translation.detection)
+    };
+  });
+  
+  // Failed items are not counted against the caller's quota
+  refundApiQuota(req, results.reduce((sum, result, index) => sum + (result.success ? 0 : textLength(requests[index].text)), 0));
+  
+  res.json({
+    success: true,
+    count: results.length,
+    translated: unique.size,
+    results
+  });
+});
+
+// Run `worker` over `items` with at most `limit` in flight
+async function mapWithConcurrency(items, limit, worker) {
+  let next = 0;
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const item = items[next++];
+      await worker(item);
+    }
+  });
+  await Promise.all(runners);
+}
+
+// Translation providers come from config/env (see lib/translation/providers.js)
+const translationProviders = createProviderRegistry();
+const providerHealth = createHealthTracker();
+const translationCache = createTranslationCache();
+const pendingTranslations = new Map();
+
+// Try each configured provider in priority order until one succeeds,
+// skipping providers whose circuit is open
+async function translateWithProviders(text, sourceLang, targetLang) {
+  const providers = translationProviders.candidates(sourceLang, targetLang);
+  const failures = [];
+  let skipped = 0;
+
+  for (const provider of providers) {
+    if (!providerHealth.canRequest(provider.name)) {
+      skipped++;
+      continue;
+    }
+
+    const startTime = Date.now();
+    try {
+      const translatedText = await translationProviders.translate(provider, text, sourceLang, targetLang);
+      providerHealth.recordSuccess(provider.name, Date.now() - startTime);
+      return { translatedText, provider: provider.name };
+    } catch (error) {
+      providerHealth.recordFailure(provider.name, error, Date.now() - startTime);
+      failures.push(error);
+      console.warn('Translation provider failed, trying next:', error.message);
+    }
+  }
+
+  let message;
+  if (!providers.length) {
+    message = `No translation provider supports ${sourceLang || 'auto'} -> ${targetLang}`;
+  } else {
+    const reasons = failures.map(failure => failure.message);
+    if (skipped) reasons.push(`${skipped} skipped (circuit open)`);
+    message = `All translation services failed (${reasons.join('; ')})`;
+  }
+
+  const error = new Error(message);
+  error.failures = failures;
+  throw error;
+}
+
+// Shared cache in front of the providers, used by sockets and HTTP alike.
+// Pass { cache: false } to translate without storing the result.
+async function translateWithDetails(text, sourceLanguage, targetLang, options = {}) {
+  const { cache = true } = options;
+  const { sourceLanguage: sourceLang, detection } = resolveSourceLanguage(text, sourceLanguage);
+
+  const cached = translationCache.get(text, sourceLang, targetLang);
+  if (cached) {
+    return { translatedText: cached.translatedText, provider: cached.provider, fromCache: true, sourceLanguage: sourceLang, detection };
+  }
+
+  // Concurrent requests for the same text and pair share one provider call
+  const key = translationCache.key(text, sourceLang, targetLang);
+  if (!pendingTranslations.has(key)) {
+    const pending = translateWithProviders(text, sourceLang, targetLang)
+      .then(result => {
+        if (cache) translationCache.set(text, sourceLang, targetLang, result);
+        return result;
+      })
+      .finally(() => pendingTranslations.delete(key));
+    pendingTranslations.set(key, pending);
+  }
+
+  const result = await pendingTranslations.get(key);
+  return { ...result, fromCache: false, sourceLanguage: sourceLang, detection };
+}
+
+// A participant's language as clients send it: 'auto' or a code such as 'en', 'pt-BR' or 'zh-Hans'
+function isLanguageCode(value) {
+  return typeof value === 'string' && /^(auto|[a-z]{2,3}(-[A-Za-z0-9]{2,8})*)$/.test(value);
+}
+
+// Replace 'auto' (or a missing source) with the detected language when the
+// detector is confident; otherwise leave 'auto' for providers that handle it
+const DETECTION_MIN_CONFIDENCE = Number(process.env.DETECTION_MIN_CONFIDENCE) || 0.5;
+
+function resolveSourceLanguage(text, sourceLang) {
+  if (sourceLang && sourceLang !== 'auto') {
+    return { sourceLanguage: sourceLang, detection: null };
+  }
+  
+  const detection = detectLanguage(text, { minConfidence: DETECTION_MIN_CONFIDENCE });
+  return {
+    sourceLanguage: detection.reliable ? detection.language : 'auto',
+    detection
+  };
+}
+
+async function translateWithFreeServices(text, sourceLang, targetLang) {
+  const result = await translateWithDetails(text, sourceLang, targetLang);
+  return result.translatedText;
+}
+
+// Full pipeline for one segment: translation memory, then glossary masking
+// around the cached provider chain.
+//   options.glossaryIds  glossaries to apply
+//   options.cache        false to skip storing the result (interim drafts)
+async function translateSegment(text, sourceLanguage, targetLang, options = {}) {
+  const { glossaryIds, ...translateOptions } = options;
+  const { sourceLanguage: sourceLang, detection } = resolveSourceLanguage(text, sourceLanguage);
+  
+  // Approved human translations win over any provider; interim drafts only take exact matches
+  const memoryMatches = sourceLang === 'auto' ? [] : translationMemory.lookup(text, sourceLang, targetLang, {
+    minScore: TM_MIN_MATCH,
+    fuzzy: options.cache !== false
+  });
+  const reusable = memoryMatches.find(match => match.score >= TM_REUSE_THRESHOLD);
+  if (reusable) {
+    translationMemory.markUsed(reusable.segment);
+    return {
+      translatedText: reusable.segment.target,
+      provider: 'memory',
+      fromCache: false,
+      sourceLanguage: sourceLang,
+      detection,
+      glossaryTerms: 0,
+      memoryMatches: memoryMatches.map(memoryMatchFields)
+    };
+  }
+  
+  const glossaries = glossaryStore.resolve(glossaryIds);
+  const masked = protectTerms(text, glossaries, sourceLang, targetLang);
+  let translation;
+  
+  if (masked.spans.length && !masked.text.replace(/__GLS\d+__/g, '').replace(/[\s\p{P}]/gu, '')) {
+    // Nothing left for a provider to translate
+    translation = { translatedText: masked.text, provider: 'glossary', fromCache: false };
+  } else {
+    translation = await translateWithDetails(masked.text, sourceLang, targetLang, translateOptions);
+  }
+  
+  return {
+    ...translation,
+    translatedText: restoreTerms(translation.translatedText, masked.spans),
+    sourceLanguage: sourceLang,
+    detection,
+    glossaryTerms: masked.spans.length,
+    memoryMatches: memoryMatches.map(memoryMatchFields)
+  };
+}
+
+// Room state (see lib/state): membership and sessions, resume tokens, floor queues and
+// room metadata/history, all in the shared state store created above.
+const presence = createRoomPresence(stateStore);
+const roomStore = createRoomStore(process.env, stateStore);
+const roomSessions = createSessionRegistry(process.env, stateStore);
+const roomAccess = createRoomAccess(process.env, stateStore);
+const roomFloors = createFloorControl(stateStore);
+
+// Room activity for webhook subscribers (see lib/rooms/webhooks.js)
+const webhooks = createWebhooks(process.env, stateStore);
+roomStore.on('room-created', (room) => {
+  notifyWebhooks('room.created', room.id, {
+    createdAt: room.createdAt,
+    mode: room.mode || 'conversation',
+    protected: isProtectedRoom(room)
+  });
+});
+
+// API keys (see lib/auth/api-keys.js): translation and room creation are rate limited and
+// count against a daily character quota, per key or per anonymous address
+const apiKeys = createApiKeys(process.env, stateStore);
+
+function textLength(text) {
+  return typeof text === 'string' ? text.length : 0;
+}
+
+// A realtime connection's caller address. Socket.IO reports the TCP peer, so resolve it through
+// the proxies TRUST_PROXY trusts, as Express does for req.ip (SSE handshakes already carry req.ip).
+function connectionAddress(socket) {
+  if (socket.request) return proxyaddr(socket.request, app.get('trust proxy fn'));
+  return socket.handshake && socket.handshake.address;
+}
+
+function bearerToken(req) {
+  const [scheme, token] = String(req.get('Authorization') || '').split(' ');
+  return scheme === 'Bearer' ? token : null;
+}
+
+// Middleware: identify the caller by X-API-Key, take one request from their rate limit and
+// `countChars(req)` characters from their quota, and report what is left in the headers
+function apiKeyLimits(countChars = () => 0) {
+  return async (req, res, next) => {
+    try {
+      const { client, error } = await apiKeys.identify(req.get('X-API-Key'), req.ip);
+      if (error) {
+        return res.status(401).json({ success: false, error });
+      }
+      
+      const rate = apiKeys.take(client);
+      if (rate.limit !== null) {
+        res.set('X-RateLimit-Limit', String(rate.limit));
+        res.set('X-RateLimit-Remaining', String(rate.remaining));
+      }
+      if (!rate.allowed) {
+        res.set('Retry-After', String(Math.ceil(rate.retryAfterMs / 1000)));
+        return res.status(429).json({ success: false, error: 'Rate limit exceeded' });
+      }
+      
+      const chars = countChars(req);
+      const quota = await apiKeys.charge(client, chars);
+      if (quota.limit) {
+        res.set('X-Quota-Limit', String(quota.limit));
+        res.set('X-Quota-Remaining', String(quota.remaining));
+        res.set('X-Quota-Reset', quota.resetAt);
+      }
+      if (!quota.allowed) {
+        res.set('Retry-After', String(Math.ceil((Date.parse(quota.resetAt) - Date.now()) / 1000)));
+        return res.status(429).json({ success: false, error: 'Daily character quota exceeded' });
+      }
+      
+      req.apiClient = client;
+      req.apiCharge = { client, chars };
+      next();
+    } catch (error) {
+      console.error('API key check error:', error);
+      res.status(500).json({ success: false, error: 'Failed to check API key' });
+    }
+  };
+}
+
+// Give back `chars` of what apiKeyLimits charged (all of it by default) for translations that failed
+function refundApiQuota(req, chars = req.apiCharge && req.apiCharge.chars) {
+  if (!req.apiCharge || !chars) return;
+  apiKeys.refund(req.apiCharge.client, chars)
+    .catch(error => console.error('API quota refund failed:', error.message));
+}
+
+// Why a connection may not have `chars` more characters translated, or null when it may. Each
+// event takes a request from the caller's rate limit and counts against the daily quota, as
+// REST calls do: per key, or per address under the API_ANON_* limits. Drafts are not charged,
+// only stopped once the quota is used up.
+async function quotaRefusal(client, chars, isInterim) {
+  if (!client) return null;
+  if (!apiKeys.take(client).allowed) return 'Rate limit exceeded, slow down';
+  
+  return chargeRefusal(client, chars, isInterim);
+}
+
+// The quota half of quotaRefusal, for translations that come with something already rate limited
+async function chargeRefusal(client, chars, isInterim = false) {
+  if (!client) return null;
+  
+  const allowed = isInterim
+    ? (await apiKeys.quota(client)).remaining !== 0
+    : (await apiKeys.charge(client, chars)).allowed;
+  if (allowed) return null;
+  return client.anonymous
+    ? 'The daily character quota for your address is used up'
+    : 'The daily character quota of your API key is used up';
+}
+
+// Give a connection back what quotaRefusal or chargeRefusal charged for translations that failed
+function refundConnectionQuota(client, chars) {
+  if (!client || !chars) return;
+  apiKeys.refund(client, chars)
+    .catch(error => console.error('API quota refund failed:', error.message));
+}
+
+// Clients connect over Socket.IO, over SSE + POST (/realtime) where WebSockets cannot get
+// through, or by long polling (/realtime/poll) where no connection may outlive a request
+// (serverless hosts). Handlers below see the same connection either way.
+//   REALTIME_POLL_WAIT_MS     how long a poll waits for events; keep it under the host's
+//                             request time limit (8000)
+//   REALTIME_POLL_TIMEOUT_MS  silence after which a polling client is disconnected (30000)
+const realtime = createRealtime({
+  io,
+  store: stateStore,
+  pollWaitMs: Number(process.env.REALTIME_POLL_WAIT_MS) || undefined,
+  pollTimeoutMs: Number(process.env.REALTIME_POLL_TIMEOUT_MS) || undefined
+});
+app.use('/realtime/poll', realtime.poll.router());
+app.use('/realtime', realtime.sse.router());
+
+// Real-time communication
+realtime.on('connection', (socket) => {
+  console.log('User connected:', socket.id);
+  // Speech segment tracking only matters to the process receiving the speech
+  const speaker = { speechSegment: null };
+  
+  // A connection may present an API key: Socket.IO `auth: { apiKey }`, ?apiKey= on the SSE
+  // stream, or an X-API-Key header. Invalid keys (and missing ones when keys are required)
+  // are refused; speech from a keyed connection counts against the key's daily quota.
+  const { auth = {}, query = {}, headers = {} } = socket.handshake || {};
+  const identity = apiKeys.identify(auth.apiKey || query.apiKey || headers['x-api-key'], connectionAddress(socket))
+    .catch((error) => {
+      console.error('API key check error:', error);
+      return { error: 'Failed to check API key' };
+    });
+  identity.then(({ error }) => {
+    if (!error) return;
+    socket.emit('error', { message: error });
+    socket.disconnect();
+  });
+
+  // Join or create a conversation room
+  socket.on('join-room', async (data) => {
+    try {
+      if ((await identity).error) return;
+      
+      const { roomId, userName, userLanguage } = data;
+      if (userLanguage !== undefined && !isLanguageCode(userLanguage)) {
+        return socket.emit('error', { message: 'Unsupported language' });
+      }
+      const glossaryIds = glossaryIdsFrom(data);
+      let room = await roomStore.ensureRoom(roomId);
+      
+      const invite = data.inviteToken ? roomAccess.checkInvite(data.inviteToken, roomId) : null;
+      
+      // Caption overlays listen without being seen: not listed, not counted, never announced.
+      // So only the host can let one in, with a captions invite, and that invite admits nothing else.
+      const hidden = !!(invite && !invite.error && invite.role === 'captions');
+      if (data.role === 'captions' && !hidden) {
+        socket.emit('join-refused', {
+          roomId,
+          reason: 'captions-invite-required',
+          message: 'Caption overlays need a captions link from the room host'
+        });
+        return;
+      }
+      
+      // Closed, protected, locked and full rooms turn newcomers away
+      const { client } = await identity;
+      const address = connectionAddress(socket);
+      const inviteId = invite && !invite.error ? roomAccess.inviteId(data.inviteToken) : null;
+      // The host token is the creator's own way into a protected room
+      const hostTokenValid = roomAccess.hostTokenMatches(data.hostToken, room.hostTokenHash);
+      const refusal = await joinRefusal(room, socket.id, hidden, { inviteId, address }) ||
+        (hostTokenValid ? null : await accessRefusal(room, data, invite, address));
+      if (refusal) {
+        socket.emit('join-refused', { roomId, ...refusal });
+        return;
+      }
+      
+      // Leave any existing room
+      if (await presence.getSession(socket.id)) {
+        await leaveRoom(socket.id);
+      }
+      
+      // Listen-only joiners are the audience: counted per language rather than listed,
+      // and never allowed to speak. A listener invite cannot be used to join as anything else;
+      // only the right room password lifts it.
+      const invitedAsListener = !!(invite && !invite.error && invite.role === 'listener') &&
+        (await checkRoomPassword(room, data.password, address)) !== 'match';
+      const listenOnly = data.role === 'listener' || invitedAsListener || hidden;
+      
+      // Join new room
+      socket.join(roomId);
+      
+      // Store user session
+      const userSession = {
+        roomId,
+        userName: userName || `User${Math.floor(Math.random() * 1000)}`,
+        userLanguage: userLanguage || 'en',
+        joinedAt: new Date().toISOString(),
+        listenOnly,
+        hidden,
+        // What a kick can ban them by (see kick-participant)
+        inviteId,
+        address,
+        sessionToken: await roomSessions.issue(socket.id)
+      };
+      await presence.setSession(socket.id, userSession);
+      
+      // Update room info
+      await updateRoomUsers(roomId, socket.id, 'join');
+      const patch = {};
+      
+      // Rooms from POST /api/create-room are hosted by whoever brings the host token it returned;
+      // rooms made by joining them go to the first one in (or the first after the host has gone)
+      const claimsHost = !listenOnly && (!room.hostTokenHash || hostTokenValid);
+      if (claimsHost && (!room.hostId || !(await isInRoom(roomId, room.hostId)))) {
+        patch.hostId = socket.id;
+      }
+      
+      // Glossaries brought by the host apply to the whole room
+      const hostId = patch.hostId || room.hostId;
+      if (glossaryIds.length && hostId === socket.id) {
+        const attached = new Set(room.glossaryIds);
+        glossaryStore.resolve(glossaryIds).forEach(glossary => attached.add(glossary.id));
+        patch.glossaryIds = Array.from(attached);
+      }
+      
+      if (Object.keys(patch).length) {
+        room = await roomStore.updateRoom(roomId, patch);
+      }
+      
+      // Notify room about new user
+      if (listenOnly) {
+        if (!hidden) scheduleAudienceUpdate(roomId);
+      } else {
+        socket.to(roomId).emit('user-joined', {
+          userId: socket.id,
+          userName: userSession.userName,
+          userLanguage: userSession.userLanguage,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      // Send current room info and recent history, in the new user's language
+      socket.emit('room-joined', {
+        roomId,
+        users: await roomParticipants(roomId),
+        audience: await audienceCounts(roomId),
+        listenOnly,
+        canSpeak: canSpeak(room, socket.id, userSession),
+        ...roomSettings(room),
+        floor: await floorUpdate(roomId, room.floorControl),
+        glossaryIds: room.glossaryIds,
+        history: await replayRoomHistory(room, userSession.userLanguage, client),
+        sessionToken: userSession.sessionToken,
+        message: 'Connected to conversation room'
+      });
+      
+      if (!hidden) {
+        notifyWebhooks('user.joined', roomId, {
+          userId: socket.id,
+          userName: userSession.userName,
+          userLanguage: userSession.userLanguage,
+          listenOnly
+        });
+      }
+      
+      console.log(`User ${socket.id} joined room ${roomId}`);
+    } catch (error) {
+      console.error('Join room error:', error);
+      socket.emit('error', { message: 'Failed to join room' });
+    }
+  });
+
+  // Take back a seat held since a dropped connection, possibly on another server process
+  socket.on('resume-session', async (data) => {
+    try {
+      if ((await identity).error) return;
+      
+      const { sessionToken, lastMessageId } = data || {};
+      const resumed = sessionToken ? await roomSessions.resume(sessionToken, socket.id) : null;
+      const userSession = resumed && await presence.getSession(resumed.previousSocketId);
+      
+      if (!userSession) {
+        socket.emit('session-expired', { message: 'Session expired, please join the room again' });
+        return;
+      }
+      
+      const { previousSocketId, disconnectedAt } = resumed;
+      await presence.deleteSession(previousSocketId);
+      await presence.setSession(socket.id, userSession);
+      await presence.moveMember(userSession.roomId, previousSocketId, socket.id);
+      await roomFloors.rename(userSession.roomId, previousSocketId, socket.id);
+      socket.join(userSession.roomId);
+      
+      socket.to(userSession.roomId).emit('user-resumed', {
+        previousUserId: previousSocketId,
+        userId: socket.id,
+        userName: userSession.userName,
+        timestamp: new Date().toISOString()
+      });
+      
+      // Roles are held by socket id, so they follow the participant to the new one
+      let room = await roomStore.ensureRoom(userSession.roomId);
+      const speakerIds = room.speakerIds || [];
+      if (room.hostId === previousSocketId || speakerIds.includes(previousSocketId)) {
+        room = await roomStore.updateRoom(room.id, {
+          hostId: room.hostId === previousSocketId ? socket.id : room.hostId,
+          speakerIds: speakerIds.map(id => (id === previousSocketId ? socket.id : id))
+        });
+        socket.to(room.id).emit('room-updated', roomSettings(room));
+      }
+      if (room.floorControl) await broadcastFloor(room.id);
+      const history = await replayRoomHistory(room, userSession.userLanguage, (await identity).client);
+      
+      socket.emit('session-resumed', {
+        roomId: userSession.roomId,
+        users: await roomParticipants(userSession.roomId),
+        audience: await audienceCounts(userSession.roomId),
+        listenOnly: userSession.listenOnly,
+        canSpeak: canSpeak(room, socket.id, userSession),
+        ...roomSettings(room),
+        floor: await floorUpdate(room.id, room.floorControl),
+        glossaryIds: room.glossaryIds,
+        missed: missedMessages(history, lastMessageId, disconnectedAt)
+          .filter(message => message.speakerId !== previousSocketId),
+        sessionToken
+      });
+      
+      console.log(`User ${socket.id} resumed session of ${previousSocketId} in room ${userSession.roomId}`);
+    } catch (error) {
+      console.error('Resume session error:', error);
+      socket.emit('error', { message: 'Failed to resume session' });
+    }
+  });
+
+  // Handle real-time speech translation
+  socket.on('live-speech', async (data) => {
+    try {
+      const userSession = await presence.getSession(socket.id);
+      if (!userSession) return;
+      
+      const { text, isInterim, targetLanguages, segmentId, sequence } = data;
+      if (typeof text !== 'string' || !text.trim()) return;
+      
+      const room = await roomStore.getRoom(userSession.roomId);
+      const refusal = speakingRefusal(room, socket.id, userSession) || await floorRefusal(room, socket.id);
+      if (refusal) {
+        if (!isInterim) socket.emit('error', { message: refusal });
+        return;
+      }
+      
+      // Speakers who chose 'auto' get each utterance detected
+      const { sourceLanguage } = resolveSourceLanguage(text, userSession.userLanguage);
+      
+      // Interim results are throttled and dropped when out of order
+      if (!trackSpeechSegment(speaker, segmentId, sequence, isInterim)) return;
+      
+      // Drafts and the final text of a segment share one message id
+      const { messageId } = speaker.speechSegment;
+      const members = await presence.members(userSession.roomId);
+      
+      // Group listeners by language so each target language is translated (and counted) once
+      const listenersByLanguage = groupListenersByLanguage(members, socket.id, sourceLanguage);
+      const quotaError = await quotaRefusal((await identity).client, text.length * listenersByLanguage.size, isInterim);
+      if (quotaError) {
+        if (!isInterim) socket.emit('error', { message: quotaError });
+        return;
+      }
+      
+      if (!isInterim) {
+        const message = await recordRoomMessage(userSession.roomId, {
+          messageId,
+          originalText: text,
+          sourceLanguage,
+          speakerName: userSession.userName,
+          speakerId: socket.id,
+          messageType: 'speech'
+        });
+        
+        // Listeners who speak the same language get the original
+        const sameLanguage = members
+          .filter(member => member.userId !== socket.id && member.userLanguage === sourceLanguage)
+          .map(member => member.userId);
+        if (sameLanguage.length) {
+          socket.to(sameLanguage).emit('new-message', {
+            messageId,
+            originalText: text,
+            sourceLanguage,
+            speakerName: userSession.userName,
+            speakerId: socket.id,
+            messageType: 'speech',
+            timestamp: message.timestamp
+          });
+        }
+      }
+      
+      const glossaryIds = room ? room.glossaryIds : [];
+      const translations = {};
+      
+      await Promise.all(Array.from(listenersByLanguage.entries()).map(async ([targetLang, userIds]) => {
+        try {
+          // Drafts change every few hundred ms, keep them out of the cache
+          const translation = await translateSegment(text, sourceLanguage, targetLang, {
+            glossaryIds,
+            cache: !isInterim
+          });
+          
+          // A newer draft or the final segment overtook this one
+          if (isInterim && isStaleSegment(speaker, segmentId, sequence)) return;
+          
+          if (!isInterim) {
+            await recordMessageTranslation(userSession.roomId, messageId, targetLang, translation.translatedText);
+            translations[targetLang] = translation.translatedText;
+          }
+          
+          // Send translation to every listener of that language
+          socket.to(userIds).emit('live-translation', {
+            messageId,
+            originalText: text,
+            translatedText: translation.translatedText,
+            sourceLanguage,
+            targetLanguage: targetLang,
+            speakerName: userSession.userName,
+            speakerId: socket.id,
+            isInterim: !!isInterim,
+            segmentId,
+            sequence,
+            timestamp: new Date().toISOString()
+          });
+        } catch (error) {
+          console.error('Translation error for language', targetLang, error);
+          if (!isInterim) refundConnectionQuota((await identity).client, text.length);
+        }
+      }));
+      
+      if (!isInterim) {
+        notifyWebhooks('message.translated', userSession.roomId, {
+          messageId,
+          speakerId: socket.id,
+          speakerName: userSession.userName,
+          messageType: 'speech',
+          sourceLanguage,
+          originalText: text,
+          translations
+        });
+      }
+    } catch (error) {
+      socket.emit('error', { message: 'Failed to process live speech' });
+    }
+  });
+
+  // Handle conversation messages
+  socket.on('conversation-message', async (data) => {
+    try {
+      const userSession = await presence.getSession(socket.id);
+      if (!userSession) return;
+      
+      const room = await roomStore.getRoom(userSession.roomId);
+      const refusal = speakingRefusal(room, socket.id, userSession);
+      if (refusal) {
+        socket.emit('error', { message: refusal });
+        return;
+      }
+      
+      const { text, messageType } = data; // messageType: 'speech' or 'text'
+      const { sourceLanguage } = resolveSourceLanguage(text, userSession.userLanguage);
+      
+      const message = await recordRoomMessage(userSession.roomId, {
+        messageId: uuidv4(),
+        originalText: text,
+        sourceLanguage,
+        speakerName: userSession.userName,
+        speakerId: socket.id,
+        messageType
+      });
+      
+      // Broadcast to all room members
+      socket.to(userSession.roomId).emit('new-message', {
+        messageId: message.messageId,
+        originalText: text,
+        sourceLanguage,
+        speakerName: userSession.userName,
+        speakerId: socket.id,
+        messageType,
+        timestamp: message.timestamp
+      });
+    } catch (error) {
+      socket.emit('error', { message: 'Failed to send message' });
+    }
+  });
+
+  // A private side conversation: translated for the recipient, delivered to the two of them
+  // and never recorded in the room history
+  socket.on('direct-message', async (data) => {
+    try {
+      const userSession = await presence.getSession(socket.id);
+      if (!userSession) return;
+      
+      const { toUserId, text } = data || {};
+      if (typeof text !== 'string' || !text.trim()) {
+        socket.emit('error', { message: 'Message cannot be empty' });
+        return;
+      }
+      if (toUserId === socket.id) {
+        socket.emit('error', { message: 'You cannot send a private message to yourself' });
+        return;
+      }
+      if (userSession.muted) {
+        socket.emit('error', { message: 'You have been muted by the host' });
+        return;
+      }
+      
+      const room = await roomStore.getRoom(userSession.roomId);
+      const recipient = room && await findParticipant(socket, room, toUserId);
+      if (!recipient) return;
+      if (userSession.listenOnly || recipient.userSession.listenOnly) {
+        socket.emit('error', { message: 'Private messages are only between participants' });
+        return;
+      }
+      
+      const { sourceLanguage } = resolveSourceLanguage(text, userSession.userLanguage);
+      const targetLanguage = recipient.userSession.userLanguage;
+      let translatedText = text;
+      
+      if (targetLanguage && targetLanguage !== 'auto' && targetLanguage !== sourceLanguage) {
+        const quotaError = await quotaRefusal((await identity).client, text.length, false);
+        if (quotaError) {
+          socket.emit('error', { message: quotaError });
+          return;
+        }
+        
+        try {
+          const translation = await translateSegment(text, sourceLanguage, targetLanguage, {
+            glossaryIds: room.glossaryIds
+          });
+          translatedText = translation.translatedText;
+        } catch (error) {
+          // Better the original than nothing
+          console.error('Direct message translation failed:', error.message);
+          refundConnectionQuota((await identity).client, text.length);
+        }
+      }
+      
+      realtime.to([socket.id, toUserId]).emit('direct-message', {
+        messageId: uuidv4(),
+        fromUserId: socket.id,
+        fromUserName: userSession.userName,
+        toUserId,
+        toUserName: recipient.userSession.userName,
+        originalText: text,
+        translatedText,
+        sourceLanguage,
+        targetLanguage,
+        private: true,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Direct message error:', error);
+      socket.emit('error', { message: 'Failed to send private message' });
+    }
+  });
+
+  // A reader suggests a better translation of a message in their language
+  socket.on('suggest-correction', async (data) => {
+    try {
+      const userSession = await presence.getSession(socket.id);
+      if (!userSession) return;
+      // The audience and caption overlays read along; participants correct their own language only
+      if (userSession.listenOnly || userSession.hidden) {
+        return socket.emit('error', { message: 'Listeners cannot correct translations' });
+      }
+      
+      const { messageId, correctedText, remember } = data || {};
+      const language = userSession.userLanguage;
+      const message = await roomStore.getMessage(userSession.roomId, messageId);
+      
+      if (!message) {
+        return socket.emit('error', { message: 'Message not found' });
+      }
+      if (typeof correctedText !== 'string' || !correctedText.trim()) {
+        return socket.emit('error', { message: 'Correction cannot be empty' });
+      }
+      if (language === message.sourceLanguage) {
+        return socket.emit('error', { message: 'Corrections apply to translations, not the original' });
+      }
+      
+      const translation = await recordMessageTranslation(userSession.roomId, messageId, language, correctedText.trim(), {
+        editedBy: userSession.userName
+      });
+      
+      // Suggest the correction for later identical sentences, once the memory admin approves it
+      if (remember && message.sourceLanguage !== 'auto') {
+        translationMemory.suggest([{
+          source: message.originalText,
+          target: translation.text,
+          sourceLang: message.sourceLanguage,
+          targetLang: language,
+          author: userSession.userName
+        }], 'correction');
+      }
+      
+      // Update the message for everyone reading it in that language
+      const readers = (await presence.members(userSession.roomId))
+        .filter(member => member.userLanguage === language)
+        .map(member => member.userId);
+      
+      realtime.to(readers.length ? readers : socket.id).emit('message-corrected', {
+        messageId,
+        language,
+        translatedText: translation.text,
+        edited: true,
+        editedBy: translation.editedBy,
+        editedAt: translation.editedAt,
+        remembered: !!remember
+      });
+    } catch (error) {
+      console.error('Suggest correction error:', error);
+      socket.emit('error', { message: 'Failed to correct the translation' });
+    }
+  });
+
+  // Host moderation
+  socket.on('kick-participant', async (data) => {
+    try {
+      const host = await requireHost(socket);
+      const target = host && await findParticipant(socket, host.room, data && data.userId);
+      if (!target) return;
+      
+      if (target.userId === socket.id) {
+        socket.emit('error', { message: 'The host cannot kick themselves' });
+        return;
+      }
+      
+      // Keep them out by what is theirs alone: their connection and the invite that let them in
+      // (which stops working for anyone else holding it). Their address only with `banAddress`,
+      // since a whole office or NAT may share it; never the host's own.
+      const { inviteId, address } = target.userSession;
+      const ban = (list, value) => Array.from(new Set([...(list || []), value]));
+      const patch = { bannedConnections: ban(host.room.bannedConnections, target.userId) };
+      if (inviteId) patch.bannedInvites = ban(host.room.bannedInvites, inviteId);
+      if (data.banAddress && address && address !== host.userSession.address) {
+        patch.bannedAddresses = ban(host.room.bannedAddresses, address);
+      }
+      await roomStore.updateRoom(host.room.id, patch);
+      
+      realtime.to(target.userId).emit('kicked', { roomId: host.room.id, message: 'You were removed from the room by the host' });
+      await leaveRoom(target.userId, 'kicked');
+    } catch (error) {
+      console.error('Kick error:', error);
+      socket.emit('error', { message: 'Failed to remove participant' });
+    }
+  });
+
+  socket.on('mute-participant', async (data) => {
+    try {
+      const host = await requireHost(socket);
+      const target = host && await findParticipant(socket, host.room, data && data.userId);
+      if (!target) return;
+      
+      const muted = data.muted !== false;
+      await presence.updateSession(target.userId, { muted });
+      
+      if (muted && await roomFloors.release(host.room.id, target.userId)) {
+        await broadcastFloor(host.room.id);
+      }
+      
+      realtime.to(host.room.id).emit('participant-muted', {
+        userId: target.userId,
+        userName: target.userSession.userName,
+        muted,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Mute error:', error);
+      socket.emit('error', { message: 'Failed to mute participant' });
+    }
+  });
+
+  socket.on('lock-room', async (data) => {
+    try {
+      const host = await requireHost(socket);
+      if (!host) return;
+      
+      const room = await roomStore.updateRoom(host.room.id, { locked: !!(data && data.locked) });
+      realtime.to(room.id).emit('room-updated', roomSettings(room));
+    } catch (error) {
+      console.error('Lock room error:', error);
+      socket.emit('error', { message: 'Failed to lock room' });
+    }
+  });
+
+  socket.on('set-max-participants', async (data) => {
+    try {
+      const host = await requireHost(socket);
+      if (!host) return;
+      
+      // 0 or null lifts the limit
+      const maxParticipants = data && data.maxParticipants ? Number(data.maxParticipants) : null;
+      if (maxParticipants !== null && (!Number.isInteger(maxParticipants) || maxParticipants < 1)) {
+        socket.emit('error', { message: 'maxParticipants must be a positive whole number' });
+        return;
+      }
+      
+      const room = await roomStore.updateRoom(host.room.id, { maxParticipants });
+      realtime.to(room.id).emit('room-updated', roomSettings(room));
+    } catch (error) {
+      console.error('Max participants error:', error);
+      socket.emit('error', { message: 'Failed to set maximum participants' });
+    }
+  });
+
+  socket.on('transfer-host', async (data) => {
+    try {
+      const host = await requireHost(socket);
+      const target = host && await findParticipant(socket, host.room, data && data.userId);
+      if (!target) return;
+      
+      const room = await roomStore.updateRoom(host.room.id, { hostId: target.userId });
+      realtime.to(room.id).emit('room-updated', roomSettings(room));
+      realtime.to(room.id).emit('host-changed', {
+        hostId: target.userId,
+        hostName: target.userSession.userName,
+        previousHostId: socket.id,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Transfer host error:', error);
+      socket.emit('error', { message: 'Failed to transfer host role' });
+    }
+  });
+
+  // Broadcast rooms only let the host and designated speakers talk
+  socket.on('set-room-mode', async (data) => {
+    try {
+      const host = await requireHost(socket);
+      if (!host) return;
+      
+      const mode = data && data.mode;
+      if (!ROOM_MODES.includes(mode)) {
+        socket.emit('error', { message: `mode must be one of ${ROOM_MODES.join(', ')}` });
+        return;
+      }
+      
+      const room = await roomStore.updateRoom(host.room.id, { mode });
+      realtime.to(room.id).emit('room-updated', roomSettings(room));
+    } catch (error) {
+      console.error('Room mode error:', error);
+      socket.emit('error', { message: 'Failed to change room mode' });
+    }
+  });
+
+  socket.on('set-speaker', async (data) => {
+    try {
+      const host = await requireHost(socket);
+      const target = host && await findParticipant(socket, host.room, data && data.userId);
+      if (!target) return;
+      
+      if (target.userSession.listenOnly) {
+        socket.emit('error', { message: 'Listen-only participants cannot be made speakers' });
+        return;
+      }
+      
+      const speakerIds = new Set(host.room.speakerIds || []);
+      if (data.speaker === false) {
+        speakerIds.delete(target.userId);
+      } else {
+        speakerIds.add(target.userId);
+      }
+      
+      const room = await roomStore.updateRoom(host.room.id, { speakerIds: Array.from(speakerIds) });
+      realtime.to(room.id).emit('room-updated', roomSettings(room));
+      if (data.speaker === false && await roomFloors.release(room.id, target.userId)) {
+        await broadcastFloor(room.id);
+      }
+    } catch (error) {
+      console.error('Set speaker error:', error);
+      socket.emit('error', { message: 'Failed to change speakers' });
+    }
+  });
+
+  // Floor control: one speaker at a time, the rest queue up
+  socket.on('set-floor-control', async (data) => {
+    try {
+      const host = await requireHost(socket);
+      if (!host) return;
+      
+      const floorControl = !!(data && data.enabled);
+      const room = await roomStore.updateRoom(host.room.id, { floorControl });
+      if (!floorControl) await roomFloors.clear(room.id);
+      
+      realtime.to(room.id).emit('room-updated', roomSettings(room));
+      await broadcastFloor(room.id, floorControl);
+    } catch (error) {
+      console.error('Floor control error:', error);
+      socket.emit('error', { message: 'Failed to change floor control' });
+    }
+  });
+
+  socket.on('request-floor', async () => {
+    try {
+      const userSession = await presence.getSession(socket.id);
+      if (!userSession) return;
+      
+      const room = await roomStore.getRoom(userSession.roomId);
+      if (!room || !room.floorControl) {
+        socket.emit('error', { message: 'Floor control is not enabled in this room' });
+        return;
+      }
+      
+      const refusal = speakingRefusal(room, socket.id, userSession);
+      if (refusal) {
+        socket.emit('error', { message: refusal });
+        return;
+      }
+      
+      await roomFloors.request(room.id, socket.id);
+      await broadcastFloor(room.id);
+    } catch (error) {
+      console.error('Request floor error:', error);
+      socket.emit('error', { message: 'Failed to request the floor' });
+    }
+  });
+
+  // Give up the floor or leave the queue; the host may release anyone
+  socket.on('release-floor', async (data) => {
+    try {
+      const userSession = await presence.getSession(socket.id);
+      if (!userSession) return;
+      
+      const userId = (data && data.userId) || socket.id;
+      if (userId !== socket.id && !(await requireHost(socket))) return;
+      
+      if (await roomFloors.release(userSession.roomId, userId)) {
+        await broadcastFloor(userSession.roomId);
+      }
+    } catch (error) {
+      console.error('Release floor error:', error);
+      socket.emit('error', { message: 'Failed to release the floor' });
+    }
+  });
+
+  // Fresh invite link for a protected room; role 'listener' makes a listen-only link and
+  // 'captions' one for a caption overlay (in any room)
+  socket.on('create-invite', async (data) => {
+    try {
+      const host = await requireHost(socket);
+      if (!host) return;
+      
+      const ttlMs = data && Number(data.ttlMs) > 0 ? Number(data.ttlMs) : undefined;
+      const role = data && ['listener', 'captions'].includes(data.role) ? data.role : undefined;
+      const invite = roomAccess.createInvite(host.room.id, ttlMs, role);
+      socket.emit('invite-created', { roomId: host.room.id, inviteToken: invite.token, expiresAt: invite.expiresAt, role: role || null });
+    } catch (error) {
+      console.error('Create invite error:', error);
+      socket.emit('error', { message: 'Failed to create invite' });
+    }
+  });
+
+  socket.on('close-room', async () => {
+    try {
+      const host = await requireHost(socket);
+      if (!host) return;
+      
+      await closeRoom(host.room.id);
+    } catch (error) {
+      console.error('Close room error:', error);
+      socket.emit('error', { message: 'Failed to close room' });
+    }
+  });
+
+  // Handle language preference changes
+  socket.on('change-language', async (data) => {
+    try {
+      if (!data || !isLanguageCode(data.language)) {
+        return socket.emit('error', { message: 'Unsupported language' });
+      }
+      
+      const userSession = await presence.updateSession(socket.id, { userLanguage: data.language });
+      if (!userSession) return;
+      
+      if (userSession.listenOnly) scheduleAudienceUpdate(userSession.roomId);
+      
+      // Notify room about language change
+      socket.to(userSession.roomId).emit('user-language-changed', {
+        userId: socket.id,
+        userName: userSession.userName,
+        newLanguage: data.language,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Change language error:', error);
+      socket.emit('error', { message: 'Failed to change language' });
+    }
+  });
+
+  // Leave the room on purpose: no seat is held for a resume
+  socket.on('leave-room', async () => {
+    try {
+      const userSession = await presence.getSession(socket.id);
+      if (!userSession) return;
+      
+      await leaveRoom(socket.id);
+      socket.emit('room-left', { roomId: userSession.roomId });
+    } catch (error) {
+      console.error('Leave room error:', error);
+      socket.emit('error', { message: 'Failed to leave room' });
+    }
+  });
+  
+  // Handle disconnect
+  socket.on('disconnect', async () => {
+    try {
+      const userSession = await presence.getSession(socket.id);
+      if (userSession) {
+        // Hold the seat for a reconnect; the room only hears about it once the grace period ends
+        const held = await roomSessions.hold(userSession.sessionToken, (session) => {
+          leaveRoom(session.socketId).catch(error => console.error('Leave room error:', error));
+        });
+        if (!held) await leaveRoom(socket.id);
+      }
+    } catch (error) {
+      console.error('Disconnect error:', error);
+    }
+    
+    console.log('User disconnected:', socket.id);
+  });
+});
+
+// Remove a participant for good and tell the room
+async function leaveRoom(userId, reason = 'left') {
+  const userSession = await presence.getSession(userId);
+  if (!userSession) return;
+  
+  const { roomId } = userSession;
+  await roomSessions.revoke(userSession.sessionToken);
+  realtime.in(userId).socketsLeave(roomId);
+  
+  if (!userSession.hidden) {
+    notifyWebhooks('user.left', roomId, { userId, userName: userSession.userName, reason });
+  }
+  
+  if (userSession.listenOnly) {
+    if (!userSession.hidden) scheduleAudienceUpdate(roomId);
+  } else {
+    realtime.to(roomId).emit('user-left', {
+      userId,
+      userName: userSession.userName,
+      reason,
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  await updateRoomUsers(roomId, userId, 'leave');
+  await presence.deleteSession(userId);
+  
+  if (await roomFloors.release(roomId, userId)) {
+    await broadcastFloor(roomId);
+  }
+  
+  await releaseRoles(roomId, userId).catch(error => console.error('Role hand-over failed for room', roomId, error.message));
+}
+
+// Drop a leaving participant's speaker slot; when the host leaves, the longest-present
+// participant takes over, except in rooms with a host token, whose seat waits for its holder
+async function releaseRoles(roomId, leavingId) {
+  const room = await roomStore.getRoom(roomId);
+  if (!room) return;
+  
+  const speakerIds = room.speakerIds || [];
+  if (speakerIds.includes(leavingId) && room.hostId !== leavingId) {
+    const updated = await roomStore.updateRoom(roomId, { speakerIds: speakerIds.filter(id => id !== leavingId) });
+    realtime.to(roomId).emit('room-updated', roomSettings(updated));
+  }
+  if (room.hostId !== leavingId) return;
+  
+  const [next] = room.hostTokenHash ? [] : await roomParticipants(roomId);
+  const updated = await roomStore.updateRoom(roomId, {
+    hostId: next ? next.id : null,
+    speakerIds: speakerIds.filter(id => id !== leavingId)
+  });
+  realtime.to(roomId).emit('room-updated', roomSettings(updated));
+  if (!next) return;
+  
+  realtime.to(roomId).emit('host-changed', {
+    hostId: next.id,
+    hostName: next.name,
+    previousHostId: leavingId,
+    timestamp: new Date().toISOString()
+  });
+}
+
+// Send everyone out and keep the room id from being reused until it is pruned
+async function closeRoom(roomId) {
+  realtime.to(roomId).emit('room-closed', { roomId, message: 'The host closed this room' });
+  
+  for (const member of await presence.members(roomId)) {
+    const userSession = await presence.getSession(member.userId);
+    if (userSession) await roomSessions.revoke(userSession.sessionToken);
+    await presence.deleteSession(member.userId);
+  }
+  await presence.clearRoom(roomId);
+  await roomFloors.clear(roomId);
+  realtime.in(roomId).socketsLeave(roomId);
+  
+  await roomStore.updateRoom(roomId, { closed: true, locked: true, hostId: null });
+  notifyWebhooks('room.closed', roomId, { reason: 'closed-by-host' });
+}
+
+// Webhook deliveries happen in the background and never hold up the room
+function notifyWebhooks(event, roomId, data) {
+  webhooks.dispatch(event, roomId, data)
+    .catch(error => console.error('Webhook dispatch failed for', event, error.message));
+}
+
+const ROOM_MODES = ['conversation', 'broadcast'];
+
+// Room state every participant's client needs to show host controls
+function roomSettings(room) {
+  return {
+    hostId: room.hostId || null,
+    mode: room.mode || 'conversation',
+    speakerIds: room.speakerIds || [],
+    locked: !!room.locked,
+    maxParticipants: room.maxParticipants || null,
+    protected: isProtectedRoom(room),
+    floorControl: !!room.floorControl
+  };
+}
+
+// Who holds the floor and who is waiting, with names for display
+async function floorUpdate(roomId, enabled = true) {
+  const members = await presence.members(roomId);
+  const name = userId => (members.find(member => member.userId === userId) || {}).userName || null;
+  const { holderId, queue } = await roomFloors.state(roomId);
+  
+  return {
+    enabled: !!enabled,
+    holderId,
+    holderName: holderId ? name(holderId) : null,
+    queue: queue.map(userId => ({ userId, userName: name(userId) }))
+  };
+}
+
+async function broadcastFloor(roomId, enabled = true) {
+  realtime.to(roomId).emit('floor-updated', { roomId, ...(await floorUpdate(roomId, enabled)) });
+}
+
+// With floor control on, only the floor holder's speech goes out
+async function floorRefusal(room, userId) {
+  if (!room || !room.floorControl || await roomFloors.holder(room.id) === userId) return null;
+  return 'Request the floor before speaking';
+}
+
+function isProtectedRoom(room) {
+  return !!(room && (room.passwordHash || room.inviteOnly));
+}
+
+// Why `socketId` may not join `room`, or null when it may; hidden members do not take a seat.
+// `inviteId` and `address` say how they come in, for the host's bans (see kick-participant).
+async function joinRefusal(room, socketId, hidden = false, { inviteId = null, address = null } = {}) {
+  if (room.closed) {
+    return { reason: 'closed', message: 'This room has been closed by the host' };
+  }
+  if ((room.bannedConnections || []).includes(socketId) ||
+      (inviteId && (room.bannedInvites || []).includes(inviteId)) ||
+      (address && (room.bannedAddresses || []).includes(address))) {
+    return { reason: 'banned', message: 'You were removed from this room by the host' };
+  }
+  if (room.locked) {
+    return { reason: 'locked', message: 'This room is locked by the host' };
+  }
+  
+  const members = await presence.members(room.id);
+  const count = members.filter(member => member.userId !== socketId && !member.hidden).length;
+  if (room.maxParticipants && !hidden && count >= room.maxParticipants) {
+    return { reason: 'full', message: 'This room is full' };
+  }
+  
+  return null;
+}
+
+// Whether a participant may speak; listen-only members never do,
+// and broadcast rooms only hear the host and designated speakers
+function canSpeak(room, userId, userSession) {
+  if (userSession.listenOnly) return false;
+  if (room && room.mode === 'broadcast') {
+    return room.hostId === userId || (room.speakerIds || []).includes(userId);
+  }
+  return true;
+}
+
+// Why a participant's speech or message is dropped, or null when it goes out
+function speakingRefusal(room, userId, userSession) {
+  if (userSession.muted) return 'You have been muted by the host';
+  if (userSession.listenOnly) return 'You joined this room as a listener';
+  if (!canSpeak(room, userId, userSession)) return 'Only designated speakers can talk in this broadcast';
+  return null;
+}
+
+// 'match' or 'wrong' for a guess at the room's password from `address`, 'throttled' once that
+// address or the room has run out of wrong guesses (see lib/rooms/access.js), null for no guess
+async function checkRoomPassword(room, password, address) {
+  if (!room.passwordHash || typeof password !== 'string' || !password) return null;
+  if (!await roomAccess.mayTryPassword(room.id, address)) return 'throttled';
+  
+  if (await roomAccess.verifyPassword(password, room.passwordHash)) return 'match';
+  await roomAccess.recordWrongPassword(room.id, address);
+  return 'wrong';
+}
+
+// Protected rooms need a valid invite token or the password; null when the joiner may enter
+async function accessRefusal(room, data, invite, address) {
+  if (!isProtectedRoom(room)) return null;
+  
+  if (invite) {
+    if (!invite.error) return null;
+    
+    // A password can still get them in
+    if (!data.password) {
+      return invite.error === 'expired'
+        ? { reason: 'invite-expired', message: 'This invite link has expired' }
+        : { reason: 'invalid-invite', message: 'This invite link is not valid for this room' };
+    }
+  }
+  
+  if (room.passwordHash && data.password) {
+    const check = await checkRoomPassword(room, data.password, address);
+    if (check === 'match') return null;
+    return check === 'throttled'
+      ? { reason: 'too-many-attempts', message: 'Too many wrong passwords, try again later' }
+      : { reason: 'invalid-password', message: 'Wrong room password' };
+  }
+  
+  return room.passwordHash
+    ? { reason: 'password-required', message: 'This room needs a password or an invite link' }
+    : { reason: 'invite-required', message: 'This room can only be joined with an invite link' };
+}
+
+// The caller's session and room, or null (after telling them) when they are not the host
+async function requireHost(socket) {
+  const userSession = await presence.getSession(socket.id);
+  const room = userSession && await roomStore.getRoom(userSession.roomId);
+  
+  if (!room || room.hostId !== socket.id) {
+    socket.emit('error', { message: 'Only the room host can do that' });
+    return null;
+  }
+  return { userSession, room };
+}
+
+// A participant of the host's room, or null (after telling the host) when there is none
+async function findParticipant(socket, room, userId) {
+  const userSession = userId && await presence.getSession(userId);
+  
+  if (!userSession || userSession.roomId !== room.id) {
+    socket.emit('error', { message: 'Participant not found in this room' });
+    return null;
+  }
+  return { userId, userSession };
+}
+
+async function isInRoom(roomId, userId) {
+  const userSession = await presence.getSession(userId);
+  return !!(userSession && userSession.roomId === roomId);
+}
+
+// Helper functions for room management
+async function updateRoomUsers(roomId, userId, action) {
+  if (action === 'join') {
+    const userSession = await presence.getSession(userId);
+    if (userSession) {
+      await presence.addMember(roomId, userId, {
+        userName: userSession.userName,
+        userLanguage: userSession.userLanguage,
+        joinedAt: userSession.joinedAt,
+        muted: !!userSession.muted,
+        listenOnly: !!userSession.listenOnly,
+        hidden: !!userSession.hidden
+      });
+    }
+  } else if (action === 'leave') {
+    // Empty rooms drop out of the active list (their history stays in the room store)
+    await presence.removeMember(roomId, userId);
+  }
+}
+
+// Users currently in a room, in the shape clients expect (caption overlays are left out)
+async function listRoomUsers(roomId) {
+  return (await presence.members(roomId)).filter(member => !member.hidden).map(member => ({
+    id: member.userId,
+    name: member.userName,
+    language: member.userLanguage,
+    joinedAt: member.joinedAt,
+    muted: !!member.muted,
+    listenOnly: !!member.listenOnly
+  }));
+}
+
+// Everyone but the listen-only audience
+async function roomParticipants(roomId) {
+  return (await listRoomUsers(roomId)).filter(user => !user.listenOnly);
+}
+
+// Listen-only members per language, e.g. { total: 120, languages: { es: 80, fr: 40 } }
+async function audienceCounts(roomId) {
+  const languages = {};
+  let total = 0;
+  
+  (await presence.members(roomId)).forEach(member => {
+    if (!member.listenOnly || member.hidden) return;
+    languages[member.userLanguage] = (languages[member.userLanguage] || 0) + 1;
+    total++;
+  });
+
+  return { total, languages };
+}
+
+// Audiences can be hundreds strong, so their comings and goings are
+// collapsed into one 'audience-updated' per room and interval
+const AUDIENCE_UPDATE_INTERVAL_MS = 1000;
+const audienceUpdates = new Map();
+
+function scheduleAudienceUpdate(roomId) {
+  if (audienceUpdates.has(roomId)) return;
+  
+  audienceUpdates.set(roomId, setTimeout(async () => {
+    audienceUpdates.delete(roomId);
+    try {
+      realtime.to(roomId).emit('audience-updated', { roomId, audience: await audienceCounts(roomId) });
+    } catch (error) {
+      console.error('Audience update failed for room', roomId, error.message);
+    }
+  }, AUDIENCE_UPDATE_INTERVAL_MS));
+}
+
+// Messages are kept in the room store so they can be corrected by id
+// and replayed to people who join later
+function recordRoomMessage(roomId, message) {
+  return roomStore.addMessage(roomId, {
+    ...message,
+    translations: {},
+    timestamp: new Date().toISOString()
+  });
+}
+
+function recordMessageTranslation(roomId, messageId, language, text, correction) {
+  return roomStore.setTranslation(roomId, messageId, language, correction
+    ? { text, edited: true, editedBy: correction.editedBy, editedAt: new Date().toISOString() }
+    : { text, edited: false });
+}
+
+// Recent messages translated into `language`, reusing stored translations
+async function replayRoomHistory(room, language, client) {
+  const messages = await roomStore.recentMessages(room.id);
+  const history = [];
+  
+  await mapWithConcurrency(messages.map((message, index) => [message, index]), BATCH_CONCURRENCY, async ([message, index]) => {
+    let translation = message.translations[language];
+    
+    if (!translation && message.sourceLanguage !== language && language !== 'auto') {
+      try {
+        translation = await translateStoredMessage(room, message, language, client);
+      } catch (error) {
+        console.error('History translation failed for message', message.messageId, error.message);
+      }
+    }
+    
+    history[index] = {
+      messageId: message.messageId,
+      originalText: message.originalText,
+      translatedText: translation ? translation.text : message.originalText,
+      sourceLanguage: message.sourceLanguage,
+      targetLanguage: language,
+      speakerName: message.speakerName,
+      speakerId: message.speakerId,
+      messageType: message.messageType,
+      edited: !!(translation && translation.edited),
+      timestamp: message.timestamp
+    };
+  });
+
+  return history;
+}
+
+// Translate a stored message into a language it was never needed in live, charged to `client`
+// as live speech is. Resolves null, leaving the original, once the quota is used up.
+async function translateStoredMessage(room, message, language, client) {
+  const chars = message.originalText.length;
+  if (await chargeRefusal(client, chars)) return null;
+  
+  try {
+    const result = await translateSegment(message.originalText, message.sourceLanguage, language, {
+      glossaryIds: room.glossaryIds
+    });
+    return await recordMessageTranslation(room.id, message.messageId, language, result.translatedText);
+  } catch (error) {
+    refundConnectionQuota(client, chars);
+    throw error;
+  }
+}
+
+// Transcript messages with `texts` in each of `languages`, translating what was never needed
+// live at `client`'s expense
+async function transcriptEntries(room, messages, languages, client) {
+  const entries = [];
+  
+  await mapWithConcurrency(messages.map((message, index) => [message, index]), BATCH_CONCURRENCY, async ([message, index]) => {
+    const texts = {};
+    
+    for (const language of languages) {
+      let translation = message.translations[language];
+      
+      if (!translation && language !== 'original' && message.sourceLanguage !== language) {
+        try {
+          translation = await translateStoredMessage(room, message, language, client);
+        } catch (error) {
+          console.error('Transcript translation failed for message', message.messageId, error.message);
+        }
+      }
+      
+      texts[language] = translation ? translation.text : message.originalText;
+    }
+    
+    entries[index] = { ...message, texts };
+  });
+  
+  return entries;
+}
+
+// Why the caller may not get at a protected room's transcript or webhooks, or null when they
+// could join it: ?invite= with a valid invite token, or the password in X-Room-Password
+async function protectedRoomRefusal(room, req) {
+  if (!isProtectedRoom(room)) return null;
+  
+  if (req.query.invite && !roomAccess.checkInvite(req.query.invite, room.id).error) return null;
+  
+  const check = await checkRoomPassword(room, req.get('X-Room-Password'), req.ip);
+  if (check === 'match') return null;
+  return check === 'throttled'
+    ? { status: 429, error: 'Too many wrong room passwords, try again later' }
+    : { status: 403, error: 'This room needs a password or an invite link' };
+}
+
+// Why the caller may not manage webhooks of `roomId` (null: the global ones), or null when they may.
+// Room webhooks are for the room host (their session token in X-Session-Token), API key holders
+// who could join the room, and the admin.
+async function webhookRefusal(req, roomId) {
+  if (webhooks.isAdmin(bearerToken(req))) return null;
+  if (!roomId) {
+    return { status: 403, error: 'Global webhooks need the admin token (WEBHOOK_ADMIN_TOKEN)' };
+  }
+  
+  const room = await roomStore.getRoom(roomId);
+  if (!room) return { status: 404, error: 'Room not found' };
+  
+  return hostOrKeyRefusal(req, room, 'Room webhooks');
+}
+
+// Why the caller may not get at `room`'s `what` over HTTP, or null when they may: only its
+// host (the room's host token in X-Host-Token, or the current host's session token in
+// X-Session-Token) and API key holders who could join it may
+async function hostOrKeyRefusal(req, room, what) {
+  if (roomAccess.hostTokenMatches(req.get('X-Host-Token'), room.hostTokenHash)) return null;
+  
+  const session = await roomSessions.get(req.get('X-Session-Token'));
+  if (session && room.hostId && session.socketId === room.hostId) return null;
+  
+  const key = req.get('X-API-Key');
+  if (!key || !await apiKeys.authenticate(key)) {
+    return { status: 403, error: `${what} need the host's token or an API key` };
+  }
+  return protectedRoomRefusal(room, req);
+}
+
+// Replayed history after the last message a resuming client saw,
+// or since it dropped when that message is unknown
+function missedMessages(history, lastMessageId, disconnectedAt) {
+  const lastSeen = lastMessageId ? history.findIndex(message => message.messageId === lastMessageId) : -1;
+  if (lastSeen !== -1) return history.slice(lastSeen + 1);
+  
+  return history.filter(message => message.timestamp >= disconnectedAt);
+}
+
+// Forget rooms that have been idle for ROOM_TTL_MS
+const ROOM_TTL_MS = Number(process.env.ROOM_TTL_MS) || 24 * 60 * 60 * 1000;
+setInterval(async () => {
+  try {
+    const active = new Set(await presence.activeRoomIds());
+    await roomStore.prune(ROOM_TTL_MS, roomId => active.has(roomId));
+  } catch (error) {
+    console.error('Room pruning failed:', error);
+  }
+}, 60 * 60 * 1000).unref();
+
+// Minimum gap between interim updates from one speaker
+const INTERIM_MIN_INTERVAL_MS = Number(process.env.INTERIM_MIN_INTERVAL_MS) || 250;
+
+// Record an incoming speech update on the speaker's connection.
+// Returns false for interim updates that should be dropped: older than
+// the latest one, for a segment already finalized, or arriving too fast.
+function trackSpeechSegment(speaker, segmentId, sequence, isInterim) {
+  const now = Date.now();
+  const segment = speaker.speechSegment;
+  // Updates without a segment id (older clients) each start a new message
+  const isCurrent = !!segment && segmentId != null && segment.id === segmentId;
+  
+  if (!isInterim) {
+    speaker.speechSegment = {
+      id: segmentId,
+      messageId: isCurrent ? segment.messageId : uuidv4(),
+      sequence: Math.max(Number(sequence) || 0, isCurrent ? segment.sequence : 0),
+      lastInterimAt: 0,
+      final: true
+    };
+    return true;
+  }
+  
+  if (isCurrent) {
+    if (segment.final || Number(sequence) <= segment.sequence) return false;
+    if (now - segment.lastInterimAt < INTERIM_MIN_INTERVAL_MS) return false;
+  }
+  
+  speaker.speechSegment = {
+    id: segmentId,
+    messageId: isCurrent ? segment.messageId : uuidv4(),
+    sequence: Number(sequence) || 0,
+    lastInterimAt: now,
+    final: false
+  };
+  return true;
+}
+
+function isStaleSegment(speaker, segmentId, sequence) {
+  const segment = speaker.speechSegment;
+  return !segment || segment.id !== segmentId || segment.final || segment.sequence !== Number(sequence || 0);
+}
+
+// Map of target language -> listener ids, excluding the speaker and
+// listeners who already share the speaker's language
+function groupListenersByLanguage(members, speakerId, sourceLanguage) {
+  const groups = new Map();
+  
+  for (const { userId, userLanguage } of members) {
+    if (userId === speakerId) continue;
+    if (userLanguage === sourceLanguage) continue;
+    // 'auto' is only meaningful for what someone says, not what they read
+    if (!userLanguage || userLanguage === 'auto') continue;
+    
+    if (!groups.has(userLanguage)) {
+      groups.set(userLanguage, []);
+    }
+    groups.get(userLanguage).push(userId);
+  }
+  
+  return groups;
+}
+
+// API endpoint to get room info
+app.get('/api/room/:roomId', async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    const room = await roomStore.getRoom(roomId);
+    const users = await listRoomUsers(roomId);
+    
+    // Who is in a protected room is only shown inside it
+    res.json({
+      success: true,
+      roomId,
+      userCount: users.length,
+      users: isProtectedRoom(room) ? [] : users,
+      protected: isProtectedRoom(room),
+      createdAt: room ? room.createdAt : null,
+      messageCount: room ? (await roomStore.transcript(roomId)).length : 0,
+      locked: !!(room && room.locked),
+      closed: !!(room && room.closed),
+      maxParticipants: (room && room.maxParticipants) || null
+    });
+  } catch (error) {
+    console.error('Get room error:', error);
+    res.status(500).json({ success: false, error: 'Failed to get room' });
+  }
+});
+
+// Full transcript of a room, also after the call has ended, for its host or an API key holder
+// (and for protected rooms, with ?invite= or an X-Room-Password header).
+// ?format=json|txt|srt|vtt|csv, ?lang=es for one language or ?lang=en,es side by side
+// ('original' is the text as spoken). Languages made for the export count against the caller's quota.
+app.get('/api/room/:roomId/transcript', apiKeyLimits(), async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    const format = String(req.query.format || 'json').toLowerCase();
+    const languages = String(req.query.lang || '').split(',').map(language => language.trim()).filter(Boolean);
+    
+    if (!TRANSCRIPT_FORMATS[format]) {
+      return res.status(400).json({ success: false, error: `format must be one of ${Object.keys(TRANSCRIPT_FORMATS).join(', ')}` });
+    }
+    if (languages.length > 2 || languages.some(language => language === 'auto' || (language !== 'original' && !isLanguageCode(language)))) {
+      return res.status(400).json({ success: false, error: 'lang takes one language, or two for a side-by-side transcript' });
+    }
+    
+    const room = await roomStore.getRoom(roomId);
+    if (!room) {
+      return res.status(404).json({ success: false, error: 'Room not found' });
+    }
+    const refusal = await hostOrKeyRefusal(req, room, 'Transcripts');
+    if (refusal) {
+      return res.status(refusal.status).json({ success: false, error: refusal.error });
+    }
+    
+    const messages = await roomStore.transcript(roomId);
+    if (!languages.length) {
+      languages.push('original');
+      
+      // Spreadsheets get a column for every language the room was translated into
+      if (format === 'csv') {
+        const translated = new Set();
+        messages.forEach(message => Object.keys(message.translations).forEach(language => translated.add(language)));
+        languages.push(...[...translated].sort());
+      }
+    }
+    
+    const entries = await transcriptEntries(room, messages, languages, req.apiClient);
+    const { contentType, extension } = TRANSCRIPT_FORMATS[format];
+    
+    res.set('Content-Type', contentType);
+    res.set('Content-Disposition', `attachment; filename="transcript-${roomId}${req.query.lang ? `-${languages.join('-')}` : ''}.${extension}"`);
+    res.send(formatTranscript(format, roomId, entries, languages));
+  } catch (error) {
+    console.error('Transcript export error:', error);
+    res.status(500).json({ success: false, error: 'Failed to export transcript' });
+  }
+});
+
+// Webhook subscriptions. Room webhooks follow the room's access rules (see hostOrKeyRefusal);
+// global ones, which see every room, need `Authorization: Bearer <WEBHOOK_ADMIN_TOKEN>`.
+app.get('/api/webhooks', async (req, res) => {
+  try {
+    const { roomId } = req.query;
+    const refusal = await webhookRefusal(req, roomId || null);
+    if (refusal) {
+      return res.status(refusal.status).json({ success: false, error: refusal.error });
+    }
+    
+    const subscriptions = await webhooks.list(roomId || undefined);
+    res.json({ success: true, webhooks: subscriptions.map(subscription => webhooks.describe(subscription)) });
+  } catch (error) {
+    console.error('List webhooks error:', error);
+    res.status(500).json({ success: false, error: 'Failed to list webhooks' });
+  }
+});
+
+app.post('/api/webhooks', async (req, res) => {
+  try {
+    const error = validateWebhook(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+    
+    const roomId = req.body.roomId || null;
+    const refusal = await webhookRefusal(req, roomId);
+    if (refusal) {
+      return res.status(refusal.status).json({ success: false, error: refusal.error });
+    }
+    
+    const targetRefusal = await webhooks.targetRefusal(req.body.url);
+    if (targetRefusal) {
+      return res.status(400).json({ success: false, error: targetRefusal });
+    }
+    
+    // The secret is only ever shown here
+    const subscription = await webhooks.create({ ...req.body, roomId });
+    res.status(201).json({ success: true, webhook: subscription });
+  } catch (error) {
+    console.error('Create webhook error:', error);
+    res.status(500).json({ success: false, error: 'Failed to create webhook' });
+  }
+});
+
+app.get('/api/webhooks/:id', async (req, res) => {
+  try {
+    const subscription = await webhooks.get(req.params.id);
+    const refusal = subscription ? await webhookRefusal(req, subscription.roomId) : { status: 404, error: 'Webhook not found' };
+    if (refusal) {
+      return res.status(refusal.status).json({ success: false, error: refusal.error });
+    }
+    
+    res.json({ success: true, webhook: webhooks.describe(subscription) });
+  } catch (error) {
+    console.error('Get webhook error:', error);
+    res.status(500).json({ success: false, error: 'Failed to get webhook' });
+  }
+});
+
+app.delete('/api/webhooks/:id', async (req, res) => {
+  try {
+    const subscription = await webhooks.get(req.params.id);
+    const refusal = subscription ? await webhookRefusal(req, subscription.roomId) : { status: 404, error: 'Webhook not found' };
+    if (refusal) {
+      return res.status(refusal.status).json({ success: false, error: refusal.error });
+    }
+    
+    await webhooks.remove(subscription.id);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete webhook error:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete webhook' });
+  }
+});
+
+// Delivery log, newest first: ?status=pending|delivered|failed&limit=50
+app.get('/api/webhooks/:id/deliveries', async (req, res) => {
+  try {
+    const subscription = await webhooks.get(req.params.id);
+    const refusal = subscription ? await webhookRefusal(req, subscription.roomId) : { status: 404, error: 'Webhook not found' };
+    if (refusal) {
+      return res.status(refusal.status).json({ success: false, error: refusal.error });
+    }
+    
+    const limit = Math.min(Number(req.query.limit) || 50, webhooks.logLimit);
+    const deliveries = await webhooks.deliveries(subscription.id, { limit, status: req.query.status });
+    res.json({ success: true, deliveries });
+  } catch (error) {
+    console.error('Webhook deliveries error:', error);
+    res.status(500).json({ success: false, error: 'Failed to list deliveries' });
+  }
+});
+
+// API key administration, with `Authorization: Bearer <API_KEY_ADMIN_TOKEN>`. A key is
+// only shown when it is created; listings carry its prefix and today's usage.
+function keyAdminRefusal(req) {
+  return apiKeys.isAdmin(bearerToken(req))
+    ? null
+    : { status: 403, error: 'Managing API keys needs the admin token (API_KEY_ADMIN_TOKEN)' };
+}
+
+async function describeApiKey(record) {
+  return { ...apiKeys.describe(record), usage: await apiKeys.quota(record) };
+}
+
+app.get('/api/keys', async (req, res) => {
+  try {
+    const refusal = keyAdminRefusal(req);
+    if (refusal) {
+      return res.status(refusal.status).json({ success: false, error: refusal.error });
+    }
+    
+    const records = await apiKeys.list();
+    res.json({ success: true, keys: await Promise.all(records.map(describeApiKey)) });
+  } catch (error) {
+    console.error('List API keys error:', error);
+    res.status(500).json({ success: false, error: 'Failed to list API keys' });
+  }
+});
+
+app.post('/api/keys', async (req, res) => {
+  try {
+    const refusal = keyAdminRefusal(req);
+    if (refusal) {
+      return res.status(refusal.status).json({ success: false, error: refusal.error });
+    }
+    
+    const error = validateApiKey(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+    
+    const { key, ...record } = await apiKeys.create(req.body);
+    res.status(201).json({ success: true, key: { ...apiKeys.describe(record), key } });
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({ success: false, error: 'Failed to create API key' });
+  }
+});
+
+app.get('/api/keys/:id', async (req, res) => {
+  try {
+    const refusal = keyAdminRefusal(req);
+    if (refusal) {
+      return res.status(refusal.status).json({ success: false, error: refusal.error });
+    }
+    
+    const record = await apiKeys.get(req.params.id);
+    if (!record) {
+      return res.status(404).json({ success: false, error: 'API key not found' });
+    }
+    res.json({ success: true, key: await describeApiKey(record) });
+  } catch (error) {
+    console.error('Get API key error:', error);
+    res.status(500).json({ success: false, error: 'Failed to get API key' });
+  }
+});
+
+// Revoked keys stay listed (with revokedAt) but are refused from then on
+app.delete('/api/keys/:id', async (req, res) => {
+  try {
+    const refusal = keyAdminRefusal(req);
+    if (refusal) {
+      return res.status(refusal.status).json({ success: false, error: refusal.error });
+    }
+    
+    const record = await apiKeys.revoke(req.params.id);
+    if (!record) {
+      return res.status(404).json({ success: false, error: 'API key not found' });
+    }
+    res.json({ success: true, key: apiKeys.describe(record) });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({ success: false, error: 'Failed to revoke API key' });
+  }
+});
+
+// API endpoint to create/join room with shareable link
+// Pass `password` and/or `inviteOnly: true` for a protected room, whose links carry signed invites,
+// and `mode: 'broadcast'` for a talk where only the host and designated speakers are heard.
+// `listenLink` joins the audience, and `hostToken` is for the creator alone: join-room with it to
+// host the room. POST /api/room is the older name the serverless build used.
+app.post(['/api/create-room', '/api/room'], apiKeyLimits(), async (req, res) => {
+  try {
+    const { password, inviteOnly, inviteTtlMs, mode = 'conversation', floorControl } = req.body;
+    const roomId = req.body.roomId || generateRoomId();
+    const shareLink = `${req.protocol}://${req.get('host')}/?room=${encodeURIComponent(roomId)}`;
+    
+    if (password !== undefined && (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH)) {
+      return res.status(400).json({ success: false, error: `password must be a string of at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+    if (!ROOM_MODES.includes(mode)) {
+      return res.status(400).json({ success: false, error: `mode must be one of ${ROOM_MODES.join(', ')}` });
+    }
+    
+    // Protecting someone else's room, or taking its host token, would take it from them
+    if (await roomStore.getRoom(roomId)) {
+      return res.status(409).json({ success: false, error: `Room ${roomId} already exists` });
+    }
+    
+    // The creator joins with the host token to be the host
+    const hostToken = roomAccess.createHostToken();
+    if (!password && !inviteOnly) {
+      await roomStore.ensureRoom(roomId, { mode, floorControl: !!floorControl, hostTokenHash: hostToken.hash });
+      return res.json({
+        success: true,
+        roomId,
+        mode,
+        hostToken: hostToken.token,
+        shareLink,
+        listenLink: `${shareLink}&listen=1`,
+        message: 'Room created successfully'
+      });
+    }
+    
+    await roomStore.ensureRoom(roomId, {
+      mode,
+      floorControl: !!floorControl,
+      hostTokenHash: hostToken.hash,
+      passwordHash: password ? await roomAccess.hashPassword(password) : null,
+      inviteOnly: !!inviteOnly
+    });
+    const ttlMs = Number(inviteTtlMs) > 0 ? Number(inviteTtlMs) : undefined;
+    const invite = roomAccess.createInvite(roomId, ttlMs);
+    const listenInvite = roomAccess.createInvite(roomId, ttlMs, 'listener');
+    
+    res.json({
+      success: true,
+      roomId,
+      mode,
+      protected: true,
+      hostToken: hostToken.token,
+      shareLink: `${shareLink}&invite=${invite.token}`,
+      listenLink: `${shareLink}&listen=1&invite=${listenInvite.token}`,
+      inviteExpiresAt: invite.expiresAt,
+      message: 'Room created successfully'
+    });
+  } catch (error) {
+    console.error('Create room error:', error);
+    res.status(500).json({ success: false, error: 'Failed to create room' });
+  }
+});
+
+// Health check, including per-provider circuit state and latency
+app.get('/api/health', async (req, res) => {
+  try {
+    const providers = providerHealth.snapshot(translationProviders.list().map(provider => provider.name));
+    const available = providers.filter(provider => provider.state !== 'open').length;
+
+    res.json({
+      status: available > 0 ? 'healthy' : 'degraded',
+      timestamp: new Date().toISOString(),
+      ...(await presence.counts()),
+      providers,
+      cache: translationCache.stats(),
+      memory: translationMemory.stats()
+    });
+  } catch (error) {
+    console.error('Health check error:', error);
+    res.status(500).json({ status: 'unhealthy', timestamp: new Date().toISOString(), error: error.message });
+  }
+});
+
+// Room ids are the only thing between an unprotected room and strangers, so they are random
+// enough not to be guessed: 10 characters of 32 (50 bits), without look-alikes (0/O, 1/I)
+const ROOM_ID_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+function generateRoomId() {
+  return Array.from(crypto.randomBytes(10), byte => ROOM_ID_ALPHABET[byte % ROOM_ID_ALPHABET.length]).join('');
+}
+
+module.exports = { app, server, io, realtime };
@@ -0,0 +1,223 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { MemoryStateStore } = require('../state/store');
+const { sha256, isAdminToken } = require('./tokens');
+
+// API keys for the translation and room creation routes and for realtime
+// connections. Every keyed caller gets:
+//   - a token bucket of `burst` requests refilled at `ratePerSec`, held per process
+//   - a daily character quota (UTC days), counted in the shared state store
+// Anonymous callers (one client per address) are only limited when anonymous limits are
+// configured; a 0 burst or quota means no limit. Keys are only shown once, when created;
+// the store keeps their SHA-256.
+
+const KEY_PREFIX = 'ltk_';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_BUCKETS = 10000;
+
+// Why a key request is invalid, or null when it is fine
+function validateApiKey(body) {
+  if (!body || typeof body !== 'object') return 'Expected a JSON object';
+  if (typeof body.name !== 'string' || !body.name.trim()) return 'name is required';
+
+  for (const field of ['ratePerSec', 'burst', 'dailyChars']) {
+    const value = body[field];
+    if (value !== undefined && (typeof value !== 'number' || !Number.isFinite(value) || value < 0)) {
+      return `${field} must be a non-negative number`;
+    }
+  }
+  if (body.burst !== undefined && body.burst < 1) return 'burst must be at least 1';
+  return null;
+}
+
+class ApiKeyRegistry {
+  constructor(options = {}) {
+    this.state = options.state || new MemoryStateStore();
+    this.required = !!options.required;
+    this.adminToken = options.adminToken || null;
+    // dailyChars 0 means no quota
+    this.defaults = { ratePerSec: 5, burst: 50, dailyChars: 500000, ...options.defaults };
+    this.anonymous = { ratePerSec: 0, burst: 0, dailyChars: 0, ...options.anonymous };
+    this.buckets = new Map();
+  }
+
+  isAdmin(token) {
+    return isAdminToken(token, this.adminToken);
+  }
+
+  // Keys as listed: without their hash
+  describe(record) {
+    const { hash, ...visible } = record;
+    return visible;
+  }
+
+  // Expects a body that passed validateApiKey; the returned `key` is not stored
+  async create({ name, ratePerSec, burst, dailyChars }) {
+    const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+    const record = {
+      id: uuidv4(),
+      name: name.trim().slice(0, 100),
+      prefix: key.slice(0, KEY_PREFIX.length + 6),
+      hash: sha256(key),
+      limits: {
+        ratePerSec: ratePerSec === undefined ? this.defaults.ratePerSec : ratePerSec,
+        burst: burst === undefined ? this.defaults.burst : burst,
+        dailyChars: dailyChars === undefined ? this.defaults.dailyChars : dailyChars
+      },
+      createdAt: new Date().toISOString(),
+      revokedAt: null
+    };
+
+    await this.state.hset('api-keys', record.id, record);
+    await this.state.set(`api-key:${record.hash}`, record.id);
+    return { ...record, key };
+  }
+
+  async get(id) {
+    return (await this.state.hget('api-keys', id)) || null;
+  }
+
+  async list() {
+    const records = Object.values(await this.state.hgetall('api-keys'));
+    return records.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  // Revoked keys stay listed but stop working at once, on every process
+  async revoke(id) {
+    const record = await this.get(id);
+    if (!record) return null;
+
+    if (!record.revokedAt) {
+      record.revokedAt = new Date().toISOString();
+      await this.state.del(`api-key:${record.hash}`);
+      await this.state.hset('api-keys', id, record);
+    }
+    return record;
+  }
+
+  async authenticate(key) {
+    if (typeof key !== 'string' || !key.startsWith(KEY_PREFIX)) return null;
+
+    const id = await this.state.get(`api-key:${sha256(key)}`);
+    const record = id && await this.get(id);
+    return record && !record.revokedAt ? record : null;
+  }
+
+  // The caller behind a request or connection: { client } or { error } when refused
+  async identify(key, address) {
+    if (key) {
+      const record = await this.authenticate(key);
+      if (!record) return { error: 'Invalid or revoked API key' };
+      return { client: { id: record.id, name: record.name, limits: record.limits } };
+    }
+
+    if (this.required) return { error: 'An API key is required' };
+    return { client: { id: `anon:${address || 'unknown'}`, name: null, anonymous: true, limits: this.anonymous } };
+  }
+
+  // Take one request from the client's bucket; limit is null when the client has none
+  take(client) {
+    const { ratePerSec, burst } = client.limits;
+    if (!burst) return { allowed: true, limit: null, remaining: null, retryAfterMs: 0 };
+
+    const now = Date.now();
+    let bucket = this.buckets.get(client.id);
+    if (!bucket) {
+      if (this.buckets.size >= MAX_BUCKETS) this.sweep(now);
+      bucket = { tokens: burst, updatedAt: now };
+      this.buckets.set(client.id, bucket);
+    }
+
+    bucket.tokens = Math.min(burst, bucket.tokens + (now - bucket.updatedAt) / 1000 * ratePerSec);
+    bucket.updatedAt = now;
+
+    const allowed = bucket.tokens >= 1;
+    if (allowed) bucket.tokens -= 1;
+    return {
+      allowed,
+      limit: burst,
+      remaining: Math.floor(bucket.tokens),
+      retryAfterMs: allowed || !ratePerSec ? 0 : Math.ceil((1 - bucket.tokens) / ratePerSec * 1000)
+    };
+  }
+
+  // Forget idle buckets, so a stream of anonymous addresses cannot grow the map without bound
+  sweep(now) {
+    this.buckets.forEach((bucket, id) => {
+      if (now - bucket.updatedAt > 60000) this.buckets.delete(id);
+    });
+  }
+
+  quotaKey(client, now = Date.now()) {
+    return `quota:${client.id}:${new Date(now).toISOString().slice(0, 10)}`;
+  }
+
+  // Characters used today, and the limit: { limit, used, remaining, resetAt }; limit 0 is no quota
+  async quota(client, used) {
+    const now = Date.now();
+    const limit = client.limits.dailyChars;
+    const current = used === undefined ? ((await this.state.get(this.quotaKey(client, now))) || 0) : used;
+    return {
+      limit,
+      used: current,
+      remaining: limit ? Math.max(0, limit - current) : null,
+      resetAt: new Date(Math.floor(now / DAY_MS) * DAY_MS + DAY_MS).toISOString()
+    };
+  }
+
+  // Count `chars` against today's quota, unless they would go over it
+  async charge(client, chars) {
+    const { dailyChars } = client.limits;
+    if (!dailyChars) return { allowed: true, ...(await this.quota(client, 0)) };
+    if (!chars) return { allowed: true, ...(await this.quota(client)) };
+
+    const key = this.quotaKey(client);
+    const used = await this.state.incrby(key, chars, 2 * DAY_MS);
+    if (used > dailyChars) {
+      const restored = await this.state.incrby(key, -chars);
+      return { allowed: false, ...(await this.quota(client, restored)) };
+    }
+    return { allowed: true, ...(await this.quota(client, used)) };
+  }
+
+  // Give back characters charged for a translation that failed
+  async refund(client, chars) {
+    if (!client.limits.dailyChars || !chars) return;
+    await this.state.incrby(this.quotaKey(client), -chars);
+  }
+}
+
+//   API_KEY_REQUIRED      1/true to refuse callers without a key (default: anonymous callers get the API_ANON_* limits)
+//   API_KEY_ADMIN_TOKEN   bearer token for the /api/keys admin routes (none: admin routes disabled)
+//   API_KEY_RATE          default requests per second per key (5)
+//   API_KEY_BURST         default bucket size per key (50)
+//   API_KEY_DAILY_CHARS   default characters per key and UTC day, 0 for no quota (500000)
+//   API_ANON_RATE, API_ANON_BURST, API_ANON_DAILY_CHARS   the same per anonymous address
+//                         (none: anonymous callers are not limited; the burst defaults to 10s of the rate).
+//                         Behind a proxy, set TRUST_PROXY so addresses are the callers' own.
+function createApiKeys(env = process.env, state) {
+  const number = (value, fallback) => (value === undefined || value === '' ? fallback : Number(value));
+  const anonymousRate = number(env.API_ANON_RATE, 0);
+
+  return new ApiKeyRegistry({
+    state,
+    required: ['1', 'true', 'yes'].includes(String(env.API_KEY_REQUIRED).toLowerCase()),
+    adminToken: env.API_KEY_ADMIN_TOKEN,
+    defaults: {
+      ratePerSec: number(env.API_KEY_RATE, 5),
+      burst: number(env.API_KEY_BURST, 50),
+      dailyChars: number(env.API_KEY_DAILY_CHARS, 500000)
+    },
+    anonymous: {
+      ratePerSec: anonymousRate,
+      burst: number(env.API_ANON_BURST, Math.ceil(anonymousRate * 10)),
+      dailyChars: number(env.API_ANON_DAILY_CHARS, 0)
+    }
+  });
+}
+
+module.exports = {
+  ApiKeyRegistry,
+  createApiKeys,
+  validateApiKey
+};
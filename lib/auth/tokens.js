@@ -0,0 +1,31 @@
+const crypto = require('crypto');
+
+// Hashing and constant-time checks for the secrets the server hands out or is configured
+// with: API keys, owner, host and connection tokens are only kept as their SHA-256, and
+// the admin tokens (API_KEY_ADMIN_TOKEN, WEBHOOK_ADMIN_TOKEN, TM_ADMIN_TOKEN) are compared
+// without leaking how much of them a guess got right.
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// Does `token` hash to `hash` (hex, as returned by sha256)?
+function tokenMatchesHash(token, hash) {
+  if (typeof token !== 'string' || !hash) return false;
+  const a = Buffer.from(sha256(token));
+  const b = Buffer.from(String(hash));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Is `token` the configured admin token? Never true when none is configured.
+function isAdminToken(token, adminToken) {
+  if (!adminToken || typeof token !== 'string') return false;
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(token), digest(adminToken));
+}
+
+module.exports = {
+  sha256,
+  tokenMatchesHash,
+  isAdminToken
+};
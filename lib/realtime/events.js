@@ -0,0 +1,21 @@
+// Event names Socket.IO keeps for itself. Socket.IO clients cannot emit them, so the HTTP
+// transports refuse them too: a posted 'disconnect' would run the disconnect handlers for a
+// client that is still there.
+const RESERVED_EVENTS = new Set([
+  'connect',
+  'connect_error',
+  'disconnect',
+  'disconnecting',
+  'error',
+  'newListener',
+  'removeListener'
+]);
+
+function isReservedEvent(event) {
+  return RESERVED_EVENTS.has(event);
+}
+
+module.exports = {
+  RESERVED_EVENTS,
+  isReservedEvent
+};
@@ -0,0 +1,365 @@
+const express = require('express');
+const crypto = require('crypto');
+const { isReservedEvent } = require('./events');
+const { sha256, tokenMatchesHash } = require('../auth/tokens');
+
+// Realtime over short requests, for hosts where nothing outlives a request (serverless
+// functions cannot even hold an SSE stream):
+//   POST /realtime/poll/connect   opens a connection; answers { id, token }
+//   GET  /realtime/poll?id=       waits up to `waitMs` for server events and drains them;
+//                                 the token goes in an X-Connection-Token header
+//   POST /realtime/poll/emit      { id, token, event, data } from the client (not Socket.IO's
+//                                 reserved names; /close is how a client disconnects)
+//   POST /realtime/poll/close     { id, token } ends the connection
+// Everything about a connection lives in the state store: its token's SHA-256, its rooms,
+// the time it last polled and a queue that broadcasts push onto and polls pop off, so any
+// process or function instance can serve any request. Handlers run in the request that
+// delivers the event, which answers only once they and everything they sent are done.
+// Connections that stop polling for `timeoutMs` are swept and disconnected.
+
+const CHANNEL = 'realtime#poll';
+const CONNECTIONS = 'poll:connections';
+const SEEN = 'poll:seen';
+// Events a poll answers with at most, and kept for a connection that is not polling
+const MAX_BATCH = 100;
+const MAX_QUEUED = 1000;
+// Queued in place of an event when the server disconnects the connection
+const DISCONNECT = 'disconnect';
+
+class PollConnection {
+  constructor(transport, id, req) {
+    this.transport = transport;
+    this.id = id;
+    // Shaped like Socket.IO's handshake, from the request that brought the connection to this process
+    this.handshake = req
+      ? { headers: req.headers, query: req.query, auth: {}, address: req.ip }
+      : { headers: {}, query: {}, auth: {} };
+    this.handlers = new Map();
+    this.connected = true;
+  }
+
+  on(event, handler) {
+    if (!this.handlers.has(event)) this.handlers.set(event, []);
+    this.handlers.get(event).push(handler);
+    return this;
+  }
+
+  // Resolves once every handler has finished
+  dispatch(event, data) {
+    return Promise.all((this.handlers.get(event) || []).map(handler => handler(data)));
+  }
+
+  emit(event, data) {
+    if (!this.connected) return false;
+    this.transport.track(this.transport.push([this.id], event, data));
+    return true;
+  }
+
+  join(room) {
+    return this.transport.track(this.transport.join(this.id, room));
+  }
+
+  // The client hears of it on its next poll, after whatever was emitted before
+  disconnect() {
+    if (!this.connected) return;
+    this.connected = false;
+    this.transport.track(this.transport.push([this.id], DISCONNECT));
+  }
+}
+
+class PollTransport {
+  constructor(options = {}) {
+    this.store = options.store;
+    this.waitMs = options.waitMs || 8000;
+    this.timeoutMs = options.timeoutMs || 30000;
+    // Connections this process has run the connection handler for
+    this.connections = new Map();
+    this.waiters = new Map();
+    this.pending = new Set();
+    this.lastSweep = 0;
+    this.connectionHandler = () => {};
+
+    this.store.subscribe(CHANNEL, message => this.onMessage(message))
+      .catch(error => console.error('Poll subscribe failed:', error.message));
+
+    // Requests sweep too; this covers a long-running process that nobody polls
+    setInterval(() => this.track(this.sweep()), this.timeoutMs).unref();
+  }
+
+  onConnection(handler) {
+    this.connectionHandler = handler;
+  }
+
+  isConnectionId(room) {
+    return typeof room === 'string' && room.startsWith('poll_');
+  }
+
+  queueKey(id) {
+    return `poll:queue:${id}`;
+  }
+
+  roomsKey(id) {
+    return `poll:rooms:${id}`;
+  }
+
+  membersKey(room) {
+    return `poll:members:${room}`;
+  }
+
+  // Keep `promise` from outliving the request: settle() waits for it
+  track(promise) {
+    const tracked = Promise.resolve(promise)
+      .catch(error => console.error('Poll transport error:', error.message))
+      .finally(() => this.pending.delete(tracked));
+    this.pending.add(tracked);
+    return tracked;
+  }
+
+  async settle() {
+    while (this.pending.size) await Promise.all(Array.from(this.pending));
+  }
+
+  router() {
+    const router = express.Router();
+
+    router.post('/connect', async (req, res) => {
+      try {
+        this.track(this.sweep());
+        const id = `poll_${crypto.randomBytes(12).toString('base64url')}`;
+        const token = crypto.randomBytes(24).toString('base64url');
+        await this.store.hset(CONNECTIONS, id, sha256(token));
+        await this.store.hset(SEEN, id, Date.now());
+
+        this.attach(id, req);
+        await this.settle();
+        res.json({ success: true, id, token });
+      } catch (error) {
+        console.error('Poll connect error:', error);
+        res.status(500).json({ success: false, error: 'Failed to open a connection' });
+      }
+    });
+
+    router.get('/', async (req, res) => {
+      try {
+        const id = req.query.id;
+        if (!(await this.authorized(id, req.get('X-Connection-Token'), res))) return;
+        this.track(this.sweep());
+        await this.store.hset(SEEN, id, Date.now());
+
+        let closed = false;
+        req.on('close', () => { closed = true; });
+        const events = await this.collect(id, () => closed);
+        if (events.some(({ event }) => event === DISCONNECT)) {
+          await this.close(id, 'server namespace disconnect');
+        }
+        await this.settle();
+        res.json({ success: true, events });
+      } catch (error) {
+        console.error('Poll error:', error);
+        res.status(500).json({ success: false, error: 'Failed to poll' });
+      }
+    });
+
+    router.post('/emit', async (req, res) => {
+      try {
+        const { id, token, event, data } = req.body || {};
+        if (typeof event !== 'string') {
+          return res.status(400).json({ success: false, error: 'id, token and event are required' });
+        }
+        if (isReservedEvent(event)) {
+          return res.status(400).json({ success: false, error: `"${event}" is reserved` });
+        }
+        if (!(await this.authorized(id, token, res))) return;
+        this.track(this.sweep());
+        await this.store.hset(SEEN, id, Date.now());
+
+        const connection = this.connections.get(id) || this.attach(id, req);
+        await connection.dispatch(event, data);
+        await this.settle();
+        res.json({ success: true });
+      } catch (error) {
+        console.error('Poll emit error:', error);
+        res.status(500).json({ success: false, error: 'Failed to deliver event' });
+      }
+    });
+
+    router.post('/close', async (req, res) => {
+      try {
+        const { id, token } = req.body || {};
+        if (!(await this.authorized(id, token, res))) return;
+
+        await this.close(id, 'client namespace disconnect');
+        await this.settle();
+        res.json({ success: true });
+      } catch (error) {
+        console.error('Poll close error:', error);
+        res.status(500).json({ success: false, error: 'Failed to close the connection' });
+      }
+    });
+
+    return router;
+  }
+
+  // Check a request's connection id and token, answering it when they do not match
+  async authorized(id, token, res) {
+    if (typeof id !== 'string' || typeof token !== 'string') {
+      res.status(400).json({ success: false, error: 'id and token are required' });
+      return false;
+    }
+
+    const tokenHash = await this.store.hget(CONNECTIONS, id);
+    if (!tokenHash) {
+      res.status(404).json({ success: false, error: 'Unknown or closed connection' });
+      return false;
+    }
+    if (!tokenMatchesHash(token, tokenHash)) {
+      res.status(403).json({ success: false, error: 'Invalid connection token' });
+      return false;
+    }
+    return true;
+  }
+
+  // Run the connection handler for a connection this process has not seen yet
+  attach(id, req) {
+    const connection = new PollConnection(this, id, req);
+    this.connections.set(id, connection);
+    this.connectionHandler(connection);
+    return connection;
+  }
+
+  // Wait until the connection has events queued, the wait is up or `aborted()`, then take them
+  async collect(id, aborted) {
+    const deadline = Date.now() + this.waitMs;
+    let events = await this.drain(id);
+    while (!events.length && !aborted() && Date.now() < deadline) {
+      // Woken early by a push from any process; the timeout also covers missed wake-ups
+      await this.wait(id, Math.min(deadline - Date.now(), 1000));
+      events = await this.drain(id);
+    }
+    return events;
+  }
+
+  async drain(id) {
+    const events = [];
+    while (events.length < MAX_BATCH) {
+      const entry = await this.store.lpop(this.queueKey(id));
+      if (!entry) break;
+      events.push(entry);
+    }
+    return events;
+  }
+
+  wait(id, ms) {
+    return new Promise((resolve) => {
+      if (!this.waiters.has(id)) this.waiters.set(id, new Set());
+      const waiters = this.waiters.get(id);
+      const wake = () => {
+        clearTimeout(timer);
+        waiters.delete(wake);
+        if (!waiters.size) this.waiters.delete(id);
+        resolve();
+      };
+      const timer = setTimeout(wake, ms);
+      waiters.add(wake);
+    });
+  }
+
+  // Queue an event for each of `ids` and wake their polls
+  async push(ids, event, data) {
+    if (!ids.length) return;
+
+    await Promise.all(ids.map(async (id) => {
+      await this.store.rpush(this.queueKey(id), { event, data });
+      await this.store.ltrim(this.queueKey(id), -MAX_QUEUED, -1);
+    }));
+    await this.store.publish(CHANNEL, { type: 'wake', ids });
+  }
+
+  // Connection ids in any of `rooms` (every connection when `rooms` is empty)
+  async members(rooms) {
+    if (!rooms.length) return Object.keys(await this.store.hgetall(CONNECTIONS));
+
+    const ids = new Set();
+    await Promise.all(rooms.map(async (room) => {
+      if (this.isConnectionId(room)) {
+        ids.add(room);
+        return;
+      }
+      Object.keys(await this.store.hgetall(this.membersKey(room))).forEach(id => ids.add(id));
+    }));
+    return Array.from(ids);
+  }
+
+  async join(id, room) {
+    await this.store.hset(this.roomsKey(id), room, true);
+    await this.store.hset(this.membersKey(room), id, true);
+  }
+
+  // Deliver to every connection in any of `rooms` (all of them when empty), skipping `except`
+  broadcast(rooms, except, event, data) {
+    return this.track((async () => {
+      const skipped = new Set(except.length ? await this.members(except) : []);
+      const ids = (await this.members(rooms)).filter(id => !skipped.has(id));
+      await this.push(ids, event, data);
+    })());
+  }
+
+  leave(rooms, room) {
+    return this.track((async () => {
+      const ids = await this.members(rooms);
+      await Promise.all(ids.map(async (id) => {
+        await this.store.hdel(this.roomsKey(id), room);
+        await this.store.hdel(this.membersKey(room), id);
+      }));
+    })());
+  }
+
+  // Forget a connection and run its disconnect handlers, once, on whichever process gets here first
+  async close(id, reason) {
+    if (!(await this.store.hdel(CONNECTIONS, id))) return;
+    await this.store.hdel(SEEN, id);
+
+    const connection = this.connections.get(id) || this.attach(id, null);
+    connection.connected = false;
+    this.connections.delete(id);
+    await this.store.publish(CHANNEL, { type: 'closed', id });
+    await connection.dispatch('disconnect', reason);
+
+    const rooms = Object.keys(await this.store.hgetall(this.roomsKey(id)));
+    await Promise.all(rooms.map(room => this.store.hdel(this.membersKey(room), id)));
+    await this.store.del(this.roomsKey(id));
+    await this.store.del(this.queueKey(id));
+  }
+
+  // Disconnect connections that have not polled for `timeoutMs`; at most twice per timeout
+  async sweep() {
+    const now = Date.now();
+    if (now - this.lastSweep < this.timeoutMs / 2) return;
+    this.lastSweep = now;
+
+    const seen = await this.store.hgetall(SEEN);
+    const expired = Object.keys(seen).filter(id => now - Number(seen[id]) > this.timeoutMs);
+    await Promise.all(expired.map(id => this.close(id, 'ping timeout')));
+  }
+
+  onMessage(message) {
+    switch (message.type) {
+      case 'wake':
+        message.ids.forEach((id) => {
+          (this.waiters.get(id) || new Set()).forEach(wake => wake());
+        });
+        break;
+      case 'closed': {
+        const connection = this.connections.get(message.id);
+        if (connection) connection.connected = false;
+        this.connections.delete(message.id);
+        break;
+      }
+    }
+  }
+}
+
+module.exports = {
+  PollConnection,
+  PollTransport
+};
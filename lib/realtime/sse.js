@@ -0,0 +1,191 @@
+const express = require('express');
+const crypto = require('crypto');
+const { isReservedEvent } = require('./events');
+const { sha256, tokenMatchesHash } = require('../auth/tokens');
+
+// Realtime over plain HTTP for hosts that cannot keep WebSockets open:
+//   GET  /realtime/events   Server-Sent Events stream; the first event names the connection id
+//                           and the secret token that goes with it
+//   POST /realtime/emit     { id, token, event, data } from the client (not Socket.IO's
+//                           reserved names, such as disconnect)
+// Connection ids are public (they are the user ids rooms show everyone), so posting as a
+// connection takes its token; the store only keeps the token's SHA-256.
+// Any process may receive the POST; it is relayed over the state store's pub/sub to the
+// process holding that connection's stream, which runs the event handlers. Broadcasts and
+// room leaves go over the same channel, so each process delivers to its own streams.
+
+const CHANNEL = 'realtime#sse';
+
+class SseConnection {
+  constructor(transport, id, req, res) {
+    this.transport = transport;
+    this.id = id;
+    // Shaped like Socket.IO's handshake; EventSource cannot send auth, so it comes in the query
+    this.handshake = { headers: req.headers, query: req.query, auth: {}, address: req.ip };
+    this.res = res;
+    this.rooms = new Set([id]);
+    this.handlers = new Map();
+    this.connected = true;
+  }
+
+  on(event, handler) {
+    if (!this.handlers.has(event)) this.handlers.set(event, []);
+    this.handlers.get(event).push(handler);
+    return this;
+  }
+
+  dispatch(event, data) {
+    (this.handlers.get(event) || []).forEach(handler => handler(data));
+  }
+
+  emit(event, data) {
+    if (!this.connected) return false;
+    this.res.write(`data: ${JSON.stringify({ event, data })}\n\n`);
+    return true;
+  }
+
+  join(room) {
+    this.rooms.add(room);
+  }
+
+  leave(room) {
+    this.rooms.delete(room);
+  }
+
+  in(rooms) {
+    return rooms.some(room => this.rooms.has(room));
+  }
+
+  // Close the stream from the server side
+  disconnect() {
+    this.res.end();
+  }
+}
+
+class SseTransport {
+  constructor(options = {}) {
+    this.store = options.store;
+    this.heartbeatMs = options.heartbeatMs || 15000;
+    this.connections = new Map();
+    this.connectionHandler = () => {};
+
+    this.store.subscribe(CHANNEL, message => this.onMessage(message))
+      .catch(error => console.error('SSE subscribe failed:', error.message));
+  }
+
+  onConnection(handler) {
+    this.connectionHandler = handler;
+  }
+
+  key(id) {
+    return `sse:${id}`;
+  }
+
+  router() {
+    const router = express.Router();
+
+    router.get('/events', (req, res) => this.open(req, res));
+
+    router.post('/emit', async (req, res) => {
+      try {
+        const { id, token, event, data } = req.body || {};
+        if (typeof id !== 'string' || typeof token !== 'string' || typeof event !== 'string') {
+          return res.status(400).json({ success: false, error: 'id, token and event are required' });
+        }
+        if (isReservedEvent(event)) {
+          return res.status(400).json({ success: false, error: `"${event}" is reserved` });
+        }
+
+        const tokenHash = await this.store.get(this.key(id));
+        if (!tokenHash) {
+          return res.status(404).json({ success: false, error: 'Unknown or closed connection' });
+        }
+        if (!tokenMatchesHash(token, tokenHash)) {
+          return res.status(403).json({ success: false, error: 'Invalid connection token' });
+        }
+
+        await this.store.publish(CHANNEL, { type: 'upstream', id, event, data });
+        res.json({ success: true });
+      } catch (error) {
+        console.error('SSE emit error:', error);
+        res.status(500).json({ success: false, error: 'Failed to relay event' });
+      }
+    });
+
+    return router;
+  }
+
+  open(req, res) {
+    const id = `sse_${crypto.randomBytes(12).toString('base64url')}`;
+    const token = crypto.randomBytes(24).toString('base64url');
+    const tokenHash = sha256(token);
+    const connection = new SseConnection(this, id, req, res);
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`event: connect\ndata: ${JSON.stringify({ id, token })}\n\n`);
+
+    // The key tells other processes the connection exists; it lapses if this one dies
+    const ttlMs = this.heartbeatMs * 3;
+    const register = () => this.store.set(this.key(id), tokenHash, ttlMs)
+      .catch(error => console.error('SSE connection registration failed:', error.message));
+    register();
+    const heartbeat = setInterval(() => {
+      res.write(': ping\n\n');
+      register();
+    }, this.heartbeatMs);
+
+    this.connections.set(id, connection);
+    this.connectionHandler(connection);
+
+    // Fires when the client goes away and when disconnect() ends the stream
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      connection.connected = false;
+      this.connections.delete(id);
+      this.store.del(this.key(id))
+        .catch(error => console.error('SSE connection cleanup failed:', error.message));
+      connection.dispatch('disconnect', 'transport close');
+    });
+  }
+
+  // Deliver to every stream in any of `rooms` (all streams when empty), skipping `except`
+  broadcast(rooms, except, event, data) {
+    return this.store.publish(CHANNEL, { type: 'broadcast', rooms, except, event, data });
+  }
+
+  leave(rooms, room) {
+    return this.store.publish(CHANNEL, { type: 'leave', rooms, room });
+  }
+
+  matching(rooms, except = []) {
+    return Array.from(this.connections.values()).filter(connection => (
+      (!rooms.length || connection.in(rooms)) && !connection.in(except)
+    ));
+  }
+
+  onMessage(message) {
+    switch (message.type) {
+      case 'upstream': {
+        const connection = this.connections.get(message.id);
+        if (connection && !isReservedEvent(message.event)) connection.dispatch(message.event, message.data);
+        break;
+      }
+      case 'broadcast':
+        this.matching(message.rooms, message.except).forEach(connection => connection.emit(message.event, message.data));
+        break;
+      case 'leave':
+        this.matching(message.rooms).forEach(connection => connection.leave(message.room));
+        break;
+    }
+  }
+}
+
+module.exports = {
+  SseConnection,
+  SseTransport
+};
@@ -0,0 +1,110 @@
+const { SseTransport } = require('./sse');
+const { PollTransport } = require('./poll');
+
+// One realtime API over every transport the server speaks. Event handlers get a
+// connection with the Socket.IO socket surface the app uses (id, handshake, on, emit,
+// join, to, disconnect), and to()/in() address Socket.IO sockets, SSE streams and
+// long-polling connections alike, so a room can mix clients on any transport.
+
+class Broadcast {
+  constructor(realtime, rooms = [], except = []) {
+    this.realtime = realtime;
+    this.rooms = rooms;
+    this.exceptRooms = except;
+  }
+
+  to(target) {
+    return new Broadcast(this.realtime, this.rooms.concat(target), this.exceptRooms);
+  }
+
+  in(target) {
+    return this.to(target);
+  }
+
+  except(target) {
+    return new Broadcast(this.realtime, this.rooms, this.exceptRooms.concat(target));
+  }
+
+  emit(event, data) {
+    let operator = this.realtime.io.to(this.rooms);
+    if (this.exceptRooms.length) operator = operator.except(this.exceptRooms);
+    operator.emit(event, data);
+
+    this.realtime.sse.broadcast(this.rooms, this.exceptRooms, event, data)
+      .catch(error => console.error('SSE broadcast failed:', error.message));
+    this.realtime.poll.broadcast(this.rooms, this.exceptRooms, event, data);
+    return true;
+  }
+
+  socketsLeave(room) {
+    this.realtime.io.in(this.rooms).socketsLeave(room);
+    this.realtime.sse.leave(this.rooms, room)
+      .catch(error => console.error('SSE leave failed:', error.message));
+    this.realtime.poll.leave(this.rooms, room);
+  }
+}
+
+// A Socket.IO socket, SSE or polling connection whose to() reaches every transport
+class Connection {
+  constructor(realtime, socket) {
+    this.realtime = realtime;
+    this.socket = socket;
+    this.id = socket.id;
+    this.handshake = socket.handshake;
+    this.request = socket.request || null; // Socket.IO's upgrade request; SSE and polling have req.ip in the handshake
+  }
+
+  on(event, handler) {
+    this.socket.on(event, handler);
+    return this;
+  }
+
+  emit(event, data) {
+    return this.socket.emit(event, data);
+  }
+
+  join(room) {
+    return this.socket.join(room);
+  }
+
+  disconnect() {
+    this.socket.disconnect(true);
+  }
+
+  to(target) {
+    return this.realtime.to(target).except(this.id);
+  }
+}
+
+class Realtime {
+  constructor(options = {}) {
+    this.io = options.io;
+    this.sse = new SseTransport({ store: options.store });
+    this.poll = new PollTransport({ store: options.store, waitMs: options.pollWaitMs, timeoutMs: options.pollTimeoutMs });
+  }
+
+  on(event, handler) {
+    if (event !== 'connection') throw new Error(`Unsupported realtime event "${event}"`);
+
+    this.io.on('connection', socket => handler(new Connection(this, socket)));
+    this.sse.onConnection(connection => handler(new Connection(this, connection)));
+    this.poll.onConnection(connection => handler(new Connection(this, connection)));
+  }
+
+  to(target) {
+    return new Broadcast(this).to(target);
+  }
+
+  in(target) {
+    return this.to(target);
+  }
+}
+
+function createRealtime(options) {
+  return new Realtime(options);
+}
+
+module.exports = {
+  Realtime,
+  createRealtime
+};
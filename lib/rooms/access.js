@@ -0,0 +1,143 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { MemoryStateStore } = require('../state/store');
+const { sha256, tokenMatchesHash } = require('../auth/tokens');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Room credentials: salted scrypt password hashes, and invite tokens of the form
+// base64url({ room, exp, role? }).base64url(HMAC-SHA256) that only this server can mint.
+// A 'listener' invite only admits its holder to the audience. Host tokens let whoever created
+// a room claim its host seat; only their SHA-256 is kept. Wrong passwords are counted in
+// the state store, per address and per room, so guessing stops after a few tries on every process.
+
+const KEY_LENGTH = 32;
+const MIN_PASSWORD_LENGTH = 8;
+
+function base64url(buffer) {
+  return Buffer.from(buffer).toString('base64url');
+}
+
+function safeEqual(a, b) {
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+class RoomAccess {
+  constructor(options = {}) {
+    this.secret = options.secret;
+    this.inviteTtlMs = options.inviteTtlMs || 24 * 60 * 60 * 1000;
+    this.state = options.state || new MemoryStateStore();
+    this.attempts = { perAddress: 10, perRoom: 50, windowMs: 15 * 60 * 1000, ...options.attempts };
+  }
+
+  // "scrypt$<salt>$<hash>", safe to keep in the room store
+  async hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(String(password), salt, KEY_LENGTH);
+    return `scrypt$${base64url(salt)}$${base64url(hash)}`;
+  }
+
+  // { token, hash }: the token goes to the room's creator, the hash into the room
+  createHostToken() {
+    const token = base64url(crypto.randomBytes(24));
+    return { token, hash: sha256(token) };
+  }
+
+  hostTokenMatches(token, hash) {
+    return !!token && tokenMatchesHash(token, hash);
+  }
+
+  attemptKeys(roomId, address) {
+    return [`room-password:address:${address || 'unknown'}`, `room-password:room:${roomId}`];
+  }
+
+  // Whether `address` may try another password for `roomId`: neither has used up its wrong guesses
+  async mayTryPassword(roomId, address) {
+    const [byAddress, byRoom] = await Promise.all(this.attemptKeys(roomId, address).map(key => this.state.get(key)));
+    return (byAddress || 0) < this.attempts.perAddress && (byRoom || 0) < this.attempts.perRoom;
+  }
+
+  // Count a wrong guess; the counts start over `windowMs` after each one's first guess
+  async recordWrongPassword(roomId, address) {
+    await Promise.all(this.attemptKeys(roomId, address).map(key => this.state.incrby(key, 1, this.attempts.windowMs)));
+  }
+
+  async verifyPassword(password, stored) {
+    const [scheme, salt, hash] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash || typeof password !== 'string') return false;
+
+    const expected = Buffer.from(hash, 'base64url');
+    const actual = await scrypt(password, Buffer.from(salt, 'base64url'), expected.length);
+    return safeEqual(actual, expected);
+  }
+
+  sign(payload) {
+    return base64url(crypto.createHmac('sha256', this.secret).update(payload).digest());
+  }
+
+  createInvite(roomId, ttlMs = this.inviteTtlMs, role) {
+    const expiresAt = Date.now() + ttlMs;
+    const claims = role ? { room: roomId, exp: expiresAt, role } : { room: roomId, exp: expiresAt };
+    const payload = base64url(JSON.stringify(claims));
+    return { token: `${payload}.${this.sign(payload)}`, expiresAt: new Date(expiresAt).toISOString() };
+  }
+
+  // What a room keeps to recognize an invite token (to ban it) without keeping the token
+  inviteId(token) {
+    return sha256(String(token));
+  }
+
+  // { error: null, role } when the token admits this room,
+  // otherwise { error: 'invalid' | 'expired' }
+  checkInvite(token, roomId) {
+    const [payload, signature] = String(token || '').split('.');
+    if (!payload || !signature || !safeEqual(Buffer.from(signature), Buffer.from(this.sign(payload)))) {
+      return { error: 'invalid' };
+    }
+
+    let claims;
+    try {
+      claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (error) {
+      return { error: 'invalid' };
+    }
+
+    if (claims.room !== roomId) return { error: 'invalid' };
+    if (!(claims.exp > Date.now())) return { error: 'expired' };
+    return { error: null, role: claims.role || null };
+  }
+}
+
+//   ROOM_INVITE_SECRET   key for signing invite tokens (random per process when unset;
+//                        required with a shared STATE_BACKEND, so every process accepts every invite)
+//   ROOM_INVITE_TTL_MS   default invite lifetime (24 hours)
+//   ROOM_PASSWORD_ATTEMPTS        wrong room passwords allowed per address in the window (10)
+//   ROOM_PASSWORD_ROOM_ATTEMPTS   wrong passwords allowed per room in the window, from anywhere (50)
+//   ROOM_PASSWORD_WINDOW_MS       the window (15 minutes)
+function createRoomAccess(env = process.env, state) {
+  let secret = env.ROOM_INVITE_SECRET;
+  if (!secret && env.STATE_BACKEND && env.STATE_BACKEND !== 'memory') {
+    throw new Error('ROOM_INVITE_SECRET must be set when STATE_BACKEND is shared, or invites only work on the process that made them');
+  }
+  if (!secret) {
+    console.warn('ROOM_INVITE_SECRET is not set; invite links will stop working when the server restarts');
+    secret = crypto.randomBytes(32).toString('hex');
+  }
+
+  return new RoomAccess({
+    secret,
+    inviteTtlMs: Number(env.ROOM_INVITE_TTL_MS) || undefined,
+    state,
+    attempts: {
+      perAddress: Number(env.ROOM_PASSWORD_ATTEMPTS) || 10,
+      perRoom: Number(env.ROOM_PASSWORD_ROOM_ATTEMPTS) || 50,
+      windowMs: Number(env.ROOM_PASSWORD_WINDOW_MS) || 15 * 60 * 1000
+    }
+  });
+}
+
+module.exports = {
+  RoomAccess,
+  createRoomAccess,
+  MIN_PASSWORD_LENGTH
+};
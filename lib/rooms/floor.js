@@ -0,0 +1,90 @@
+const { MemoryStateStore } = require('../state/store');
+
+// Floor control: one speaker at a time per room, everyone else waits in a FIFO queue.
+// Membership is by participant (socket) id; names are filled in by the caller.
+// The holder and queue live in the shared state store; granting a free floor is a
+// set-if-absent so two processes can never hand it to two people at once.
+
+class FloorControl {
+  constructor(options = {}) {
+    this.store = options.state || new MemoryStateStore();
+  }
+
+  holderKey(roomId) {
+    return `floor:${roomId}:holder`;
+  }
+
+  queueKey(roomId) {
+    return `floor:${roomId}:queue`;
+  }
+
+  async holder(roomId) {
+    return this.store.get(this.holderKey(roomId));
+  }
+
+  // Grant the floor when it is free, otherwise queue the request.
+  // Resolves the requester's place: 0 when holding the floor, 1 for first in line, ...
+  async request(roomId, userId) {
+    if (await this.holder(roomId) === userId) return 0;
+    if (await this.store.setIfAbsent(this.holderKey(roomId), userId)) return 0;
+
+    let queue = await this.store.lrange(this.queueKey(roomId), 0, -1);
+    if (!queue.includes(userId)) {
+      await this.store.rpush(this.queueKey(roomId), userId);
+      queue = await this.store.lrange(this.queueKey(roomId), 0, -1);
+    }
+    return queue.indexOf(userId) + 1;
+  }
+
+  // Give up the floor (passing it to the next in line) or leave the queue.
+  // Resolves true when anything changed.
+  async release(roomId, userId) {
+    if (await this.holder(roomId) === userId) {
+      const next = await this.store.lpop(this.queueKey(roomId));
+      if (next) {
+        await this.store.set(this.holderKey(roomId), next);
+      } else {
+        await this.store.del(this.holderKey(roomId));
+      }
+      return true;
+    }
+
+    return (await this.store.lrem(this.queueKey(roomId), userId)) > 0;
+  }
+
+  // A participant came back under a new id
+  async rename(roomId, fromId, toId) {
+    if (await this.holder(roomId) === fromId) {
+      await this.store.set(this.holderKey(roomId), toId);
+    }
+
+    const queue = await this.store.lrange(this.queueKey(roomId), 0, -1);
+    if (!queue.includes(fromId)) return;
+
+    await this.store.del(this.queueKey(roomId));
+    for (const id of queue) {
+      await this.store.rpush(this.queueKey(roomId), id === fromId ? toId : id);
+    }
+  }
+
+  async clear(roomId) {
+    await Promise.all([this.store.del(this.holderKey(roomId)), this.store.del(this.queueKey(roomId))]);
+  }
+
+  async state(roomId) {
+    const [holderId, queue] = await Promise.all([
+      this.holder(roomId),
+      this.store.lrange(this.queueKey(roomId), 0, -1)
+    ]);
+    return { holderId, queue };
+  }
+}
+
+function createFloorControl(state) {
+  return new FloorControl({ state });
+}
+
+module.exports = {
+  FloorControl,
+  createFloorControl
+};
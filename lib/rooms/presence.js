@@ -0,0 +1,110 @@
+const { MemoryStateStore } = require('../state/store');
+
+// Who is where, across every server process: a `sessions` hash of
+// socket id -> { roomId, userName, userLanguage, joinedAt, listenOnly, muted, sessionToken }
+// and one `room:<id>:members` hash per occupied room of
+// socket id -> { userName, userLanguage, joinedAt, muted, listenOnly }.
+// The `active-rooms` hash lists the rooms that currently have members.
+
+class RoomPresence {
+  constructor(options = {}) {
+    this.state = options.state || new MemoryStateStore();
+  }
+
+  membersKey(roomId) {
+    return `room:${roomId}:members`;
+  }
+
+  async getSession(socketId) {
+    return this.state.hget('sessions', socketId);
+  }
+
+  async setSession(socketId, session) {
+    await this.state.hset('sessions', socketId, session);
+    return session;
+  }
+
+  // Shallow-merge `patch` into a session and its room membership
+  async updateSession(socketId, patch) {
+    const session = await this.getSession(socketId);
+    if (!session) return null;
+
+    Object.assign(session, patch);
+    await this.setSession(socketId, session);
+
+    const member = await this.state.hget(this.membersKey(session.roomId), socketId);
+    if (member) {
+      const memberPatch = {};
+      ['userName', 'userLanguage', 'muted', 'listenOnly'].forEach(field => {
+        if (field in patch) memberPatch[field] = patch[field];
+      });
+      await this.state.hset(this.membersKey(session.roomId), socketId, { ...member, ...memberPatch });
+    }
+    return session;
+  }
+
+  async deleteSession(socketId) {
+    return this.state.hdel('sessions', socketId);
+  }
+
+  async addMember(roomId, socketId, member) {
+    await this.state.hset(this.membersKey(roomId), socketId, member);
+    await this.state.hset('active-rooms', roomId, true);
+  }
+
+  async removeMember(roomId, socketId) {
+    await this.state.hdel(this.membersKey(roomId), socketId);
+    if (await this.state.hlen(this.membersKey(roomId)) === 0) {
+      await this.state.hdel('active-rooms', roomId);
+    }
+  }
+
+  // Keep a member's seat but key it by a new socket id
+  async moveMember(roomId, fromId, toId) {
+    const member = await this.state.hget(this.membersKey(roomId), fromId);
+    if (!member) return;
+
+    await this.state.hset(this.membersKey(roomId), toId, member);
+    await this.state.hdel(this.membersKey(roomId), fromId);
+  }
+
+  // Everyone out at once, e.g. when the host closes the room
+  async clearRoom(roomId) {
+    await this.state.del(this.membersKey(roomId));
+    await this.state.hdel('active-rooms', roomId);
+  }
+
+  // [{ userId, ...member }] in join order
+  async members(roomId) {
+    const members = await this.state.hgetall(this.membersKey(roomId));
+    return Object.entries(members)
+      .map(([userId, member]) => ({ userId, ...member }))
+      .sort((a, b) => new Date(a.joinedAt) - new Date(b.joinedAt));
+  }
+
+  async memberCount(roomId) {
+    return this.state.hlen(this.membersKey(roomId));
+  }
+
+  async isActive(roomId) {
+    return (await this.memberCount(roomId)) > 0;
+  }
+
+  async activeRoomIds() {
+    return Object.keys(await this.state.hgetall('active-rooms'));
+  }
+
+  async counts() {
+    const [rooms, users] = await Promise.all([this.state.hlen('active-rooms'), this.state.hlen('sessions')]);
+    return { rooms, users };
+  }
+}
+
+function createRoomPresence(state) {
+  return new RoomPresence({ state });
+}
+
+module.exports = {
+  RoomPresence,
+  createRoomPresence
+};
@@ -0,0 +1,105 @@
+const { v4: uuidv4 } = require('uuid');
+const { MemoryStateStore } = require('../state/store');
+
+// Resumable room seats. Every join gets a token; when the socket drops the
+// seat is held for a grace period so the client can reconnect with the token
+// instead of joining again as a stranger.
+//
+// Tokens live in the shared state store, so a client may resume on a different
+// server process than the one it dropped from. The expiry timer runs where the
+// disconnect happened and re-reads the token before releasing the seat.
+
+class SessionRegistry {
+  constructor(options = {}) {
+    this.graceMs = options.graceMs === undefined ? 30000 : options.graceMs;
+    this.state = options.state || new MemoryStateStore();
+    this.timers = new Map();
+  }
+
+  key(token) {
+    return `resume:${token}`;
+  }
+
+  // New token for a socket's seat
+  async issue(socketId) {
+    const token = uuidv4();
+    await this.state.set(this.key(token), { token, socketId, disconnectedAt: null });
+    return token;
+  }
+
+  async get(token) {
+    return token ? this.state.get(this.key(token)) : null;
+  }
+
+  // Keep the seat after a disconnect; `onExpire` runs if nobody resumes it in time.
+  // Resolves false when there is no grace period and the seat should be released now.
+  async hold(token, onExpire) {
+    const session = await this.get(token);
+    if (!session || this.graceMs <= 0) {
+      await this.revoke(token);
+      return false;
+    }
+
+    session.disconnectedAt = new Date().toISOString();
+    await this.state.set(this.key(token), session);
+
+    const timer = setTimeout(() => {
+      this.timers.delete(token);
+      this.expire(token, session.disconnectedAt, onExpire)
+        .catch(error => console.error('Could not release a held seat:', error.message));
+    }, this.graceMs);
+    if (timer.unref) timer.unref();
+    this.timers.set(token, timer);
+    return true;
+  }
+
+  // Release a held seat unless it was resumed (possibly on another process) or revoked
+  // since the disconnect at `disconnectedAt`
+  async expire(token, disconnectedAt, onExpire) {
+    const current = await this.get(token);
+    if (!current || current.disconnectedAt !== disconnectedAt) return;
+
+    await this.state.del(this.key(token));
+    onExpire(current);
+  }
+
+  // Move a held seat to the reconnected socket. Resolves the previous socket id
+  // and disconnect time, or null when the token is unknown or expired.
+  async resume(token, socketId) {
+    const session = await this.get(token);
+    if (!session || !session.disconnectedAt) return null;
+
+    this.clearTimer(token);
+    const resumed = { previousSocketId: session.socketId, disconnectedAt: session.disconnectedAt };
+    await this.state.set(this.key(token), { token, socketId, disconnectedAt: null });
+    return resumed;
+  }
+
+  async isHeld(token) {
+    const session = await this.get(token);
+    return !!(session && session.disconnectedAt);
+  }
+
+  // Forget a token, e.g. after leaving the room on purpose
+  async revoke(token) {
+    if (!token) return false;
+    this.clearTimer(token);
+    return this.state.del(this.key(token));
+  }
+
+  clearTimer(token) {
+    clearTimeout(this.timers.get(token));
+    this.timers.delete(token);
+  }
+}
+
+//   SESSION_GRACE_MS  how long a dropped participant's seat is held (30000, 0 disables)
+function createSessionRegistry(env = process.env, state) {
+  const graceMs = env.SESSION_GRACE_MS === undefined ? undefined : Number(env.SESSION_GRACE_MS);
+  return new SessionRegistry({ graceMs, state });
+}
+
+module.exports = {
+  SessionRegistry,
+  createSessionRegistry
+};
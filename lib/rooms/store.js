@@ -0,0 +1,324 @@
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+
+// Room metadata and messages behind an async interface, so a shared backend
+// can replace the in-process ones without touching callers. Every message is
+// kept (up to `maxMessages`) as the room's transcript; late joiners are only
+// replayed the last `historyLimit`. Read messages through getMessage,
+// recentMessages and transcript: rooms from the shared store carry metadata only.
+// Stores emit 'room-created' (room) on the one process that created the room.
+//
+// Room:    { id, createdAt, updatedAt, glossaryIds: [], messages: [] }
+// Message: { messageId, originalText, sourceLanguage, speakerName, speakerId,
+//            messageType, timestamp, translations: { [lang]: { text, edited, ... } } }
+
+class MemoryRoomStore extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.maxMessages = options.maxMessages || 5000;
+    this.historyLimit = options.historyLimit || 50;
+    this.rooms = new Map();
+  }
+
+  async getRoom(roomId) {
+    return this.rooms.get(roomId) || null;
+  }
+
+  async listRooms() {
+    return Array.from(this.rooms.values());
+  }
+
+  // Fetch a room, creating it with `defaults` when it does not exist yet
+  async ensureRoom(roomId, defaults = {}) {
+    let room = this.rooms.get(roomId);
+    if (!room) {
+      const now = new Date().toISOString();
+      room = { glossaryIds: [], ...defaults, id: roomId, createdAt: now, updatedAt: now, messages: [] };
+      this.rooms.set(roomId, room);
+      this.changed();
+      this.emit('room-created', room);
+    }
+    return room;
+  }
+
+  async updateRoom(roomId, patch) {
+    const room = this.rooms.get(roomId);
+    if (!room) return null;
+
+    Object.assign(room, patch, { id: roomId, updatedAt: new Date().toISOString() });
+    this.changed();
+    return room;
+  }
+
+  async deleteRoom(roomId) {
+    const deleted = this.rooms.delete(roomId);
+    if (deleted) this.changed();
+    return deleted;
+  }
+
+  async addMessage(roomId, message) {
+    const room = await this.ensureRoom(roomId);
+    const record = { translations: {}, ...message };
+
+    room.messages.push(record);
+    if (room.messages.length > this.maxMessages) {
+      room.messages.splice(0, room.messages.length - this.maxMessages);
+    }
+    room.updatedAt = new Date().toISOString();
+
+    this.changed();
+    return record;
+  }
+
+  async getMessage(roomId, messageId) {
+    const room = this.rooms.get(roomId);
+    return (room && room.messages.find(message => message.messageId === messageId)) || null;
+  }
+
+  async setTranslation(roomId, messageId, language, translation) {
+    const message = await this.getMessage(roomId, messageId);
+    if (!message) return null;
+
+    message.translations[language] = translation;
+    this.changed();
+    return translation;
+  }
+
+  async recentMessages(roomId, limit = this.historyLimit) {
+    const room = this.rooms.get(roomId);
+    return room ? room.messages.slice(-limit) : [];
+  }
+
+  async transcript(roomId) {
+    const room = this.rooms.get(roomId);
+    return room ? room.messages.slice() : [];
+  }
+
+  // Drop rooms nobody has touched for `maxAgeMs`
+  async prune(maxAgeMs, isActive = () => false) {
+    const cutoff = Date.now() - maxAgeMs;
+    let removed = 0;
+
+    for (const room of this.rooms.values()) {
+      if (!isActive(room.id) && new Date(room.updatedAt).getTime() < cutoff) {
+        this.rooms.delete(room.id);
+        removed++;
+      }
+    }
+
+    if (removed) this.changed();
+    return removed;
+  }
+
+  // Hook for persistent subclasses
+  changed() {}
+}
+
+// Memory store mirrored to a JSON file, written shortly after each change
+class JsonFileRoomStore extends MemoryRoomStore {
+  constructor(options = {}) {
+    super(options);
+    this.file = path.resolve(options.file);
+    this.flushDelay = options.flushDelay || 1000;
+    this.flushTimer = null;
+    this.load();
+  }
+
+  load() {
+    try {
+      const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      (data.rooms || []).forEach(room => this.rooms.set(room.id, room));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`Could not load rooms from ${this.file}:`, error.message);
+      }
+    }
+  }
+
+  changed() {
+    if (this.flushTimer) return;
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush();
+    }, this.flushDelay);
+    if (this.flushTimer.unref) this.flushTimer.unref();
+  }
+
+  flush() {
+    const data = JSON.stringify({ rooms: Array.from(this.rooms.values()) });
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+
+    // Write then rename so a crash never leaves half a file behind
+    const temp = `${this.file}.tmp`;
+    fs.writeFile(temp, data, (error) => {
+      if (error) return console.warn(`Could not write rooms to ${this.file}:`, error.message);
+      fs.rename(temp, this.file, (renameError) => {
+        if (renameError) console.warn(`Could not write rooms to ${this.file}:`, renameError.message);
+      });
+    });
+  }
+}
+
+// Rooms kept in the shared state store (lib/state/store.js) so every server process
+// sees the same metadata and history. Metadata lives under room:<id>; messages are kept
+// in order in a list and by id in a hash, and each message's translations in a hash of
+// its own, so translations into different languages recorded at the same time by
+// different processes never overwrite each other, and looking up or translating one
+// message does not read the whole transcript. The `rooms` hash indexes every room by its
+// last activity, which is what prune reads.
+class SharedRoomStore extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.state = options.state;
+    this.maxMessages = options.maxMessages || 5000;
+    this.historyLimit = options.historyLimit || 50;
+  }
+
+  messagesKey(roomId) {
+    return `room:${roomId}:messages`;
+  }
+
+  messageIndexKey(roomId) {
+    return `room:${roomId}:message-index`;
+  }
+
+  translationsKey(roomId, messageId) {
+    return `room:${roomId}:translations:${messageId}`;
+  }
+
+  async getRoom(roomId) {
+    return this.state.get(`room:${roomId}`);
+  }
+
+  async listRooms() {
+    const ids = Object.keys(await this.state.hgetall('rooms'));
+    const rooms = await Promise.all(ids.map(id => this.getRoom(id)));
+    return rooms.filter(Boolean);
+  }
+
+  async ensureRoom(roomId, defaults = {}) {
+    const now = new Date().toISOString();
+    const room = { glossaryIds: [], ...defaults, id: roomId, createdAt: now, updatedAt: now };
+
+    // Whoever creates the room first wins; everyone else reads that room back
+    if (await this.state.setIfAbsent(`room:${roomId}`, room)) {
+      await this.state.hset('rooms', roomId, now);
+      this.emit('room-created', room);
+      return room;
+    }
+    return this.getRoom(roomId);
+  }
+
+  async updateRoom(roomId, patch) {
+    const room = await this.getRoom(roomId);
+    if (!room) return null;
+
+    Object.assign(room, patch, { id: roomId, updatedAt: new Date().toISOString() });
+    await this.state.set(`room:${roomId}`, room);
+    await this.state.hset('rooms', roomId, room.updatedAt);
+    return room;
+  }
+
+  async deleteRoom(roomId) {
+    const messages = await this.state.lrange(this.messagesKey(roomId), 0, -1);
+    const deleted = await this.state.del(`room:${roomId}`);
+    await Promise.all([
+      this.state.hdel('rooms', roomId),
+      this.state.del(this.messagesKey(roomId)),
+      this.state.del(this.messageIndexKey(roomId)),
+      ...messages.map(message => this.state.del(this.translationsKey(roomId, message.messageId)))
+    ]);
+    return deleted;
+  }
+
+  async addMessage(roomId, message) {
+    await this.ensureRoom(roomId);
+    const record = { translations: {}, ...message };
+
+    await this.state.hset(this.messageIndexKey(roomId), record.messageId, record);
+    let length = await this.state.rpush(this.messagesKey(roomId), record);
+
+    // Drop the oldest messages, with their index entries and translations
+    while (length > this.maxMessages) {
+      const dropped = await this.state.lpop(this.messagesKey(roomId));
+      if (!dropped) break;
+      length--;
+      await Promise.all([
+        this.state.hdel(this.messageIndexKey(roomId), dropped.messageId),
+        this.state.del(this.translationsKey(roomId, dropped.messageId))
+      ]);
+    }
+    await this.state.hset('rooms', roomId, new Date().toISOString());
+    return record;
+  }
+
+  async getMessage(roomId, messageId) {
+    const message = await this.state.hget(this.messageIndexKey(roomId), messageId);
+    if (!message) return null;
+
+    message.translations = await this.state.hgetall(this.translationsKey(roomId, messageId));
+    return message;
+  }
+
+  async setTranslation(roomId, messageId, language, translation) {
+    if (!(await this.state.hget(this.messageIndexKey(roomId), messageId))) return null;
+
+    await this.state.hset(this.translationsKey(roomId, messageId), language, translation);
+    return translation;
+  }
+
+  async recentMessages(roomId, limit = this.historyLimit) {
+    const messages = await this.state.lrange(this.messagesKey(roomId), -limit, -1);
+    await Promise.all(messages.map(async (message) => {
+      message.translations = await this.state.hgetall(this.translationsKey(roomId, message.messageId));
+    }));
+    return messages;
+  }
+
+  async transcript(roomId) {
+    return this.recentMessages(roomId, this.maxMessages);
+  }
+
+  async prune(maxAgeMs, isActive = () => false) {
+    const cutoff = Date.now() - maxAgeMs;
+    let removed = 0;
+
+    for (const [roomId, updatedAt] of Object.entries(await this.state.hgetall('rooms'))) {
+      if (!isActive(roomId) && new Date(updatedAt).getTime() < cutoff) {
+        await this.deleteRoom(roomId);
+        removed++;
+      }
+    }
+    return removed;
+  }
+}
+
+//   ROOM_STORE             memory (default), file, or shared (default when STATE_BACKEND is set)
+//   ROOM_STORE_FILE        JSON file for the file store (./data/rooms.json)
+//   ROOM_HISTORY_LIMIT     messages replayed to late joiners (50)
+//   ROOM_TRANSCRIPT_LIMIT  messages kept per room for its transcript (5000)
+function createRoomStore(env = process.env, state) {
+  const maxMessages = Number(env.ROOM_TRANSCRIPT_LIMIT) || 5000;
+  const historyLimit = Number(env.ROOM_HISTORY_LIMIT) || 50;
+  const shared = env.STATE_BACKEND && env.STATE_BACKEND !== 'memory';
+
+  switch (env.ROOM_STORE || (shared ? 'shared' : 'memory')) {
+    case 'memory':
+      return new MemoryRoomStore({ maxMessages, historyLimit });
+    case 'file':
+    case 'json':
+      return new JsonFileRoomStore({ file: env.ROOM_STORE_FILE || './data/rooms.json', maxMessages, historyLimit });
+    case 'shared':
+      return new SharedRoomStore({ state, maxMessages, historyLimit });
+    default:
+      throw new Error(`Unknown ROOM_STORE "${env.ROOM_STORE}" (expected memory, file or shared)`);
+  }
+}
+
+module.exports = {
+  MemoryRoomStore,
+  JsonFileRoomStore,
+  SharedRoomStore,
+  createRoomStore
+};
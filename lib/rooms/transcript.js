@@ -0,0 +1,141 @@
+// Room transcripts rendered for download. Entries are room messages with `texts`
+// filled in for the requested languages ('original' is the text as spoken);
+// two languages give a side-by-side transcript.
+
+const TRANSCRIPT_FORMATS = {
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  txt: { contentType: 'text/plain; charset=utf-8', extension: 'txt' },
+  srt: { contentType: 'application/x-subrip; charset=utf-8', extension: 'srt' },
+  vtt: { contentType: 'text/vtt; charset=utf-8', extension: 'vtt' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' }
+};
+
+// Captions stay up until the next message, within these bounds
+const CUE_MIN_MS = 1000;
+const CUE_MAX_MS = 7000;
+
+function pad(value, length = 2) {
+  return String(value).padStart(length, '0');
+}
+
+// 01:02:03 plus ",456" (SRT) or ".456" (WebVTT) when a separator is given
+function clock(ms, separator) {
+  const total = Math.max(0, Math.round(ms));
+  const hours = Math.floor(total / 3600000);
+  const minutes = Math.floor(total / 60000) % 60;
+  const seconds = Math.floor(total / 1000) % 60;
+  const time = `${pad(hours)}:${pad(minutes)}:${pad(seconds)}`;
+  return separator ? `${time}${separator}${pad(total % 1000, 3)}` : time;
+}
+
+// Start and end offsets from the first message for every entry
+function cueTimes(entries) {
+  const origin = entries.length ? new Date(entries[0].timestamp).getTime() : 0;
+  const starts = entries.map(entry => new Date(entry.timestamp).getTime() - origin);
+
+  return starts.map((start, index) => {
+    const next = index + 1 < starts.length ? starts[index + 1] : Infinity;
+    const end = Math.min(next, start + CUE_MAX_MS);
+    return { start, end: Math.max(end, start + CUE_MIN_MS) };
+  });
+}
+
+function label(language) {
+  return language === 'original' ? 'Original' : language.toUpperCase();
+}
+
+function toText(roomId, entries, languages) {
+  const times = cueTimes(entries);
+  const header = `Transcript of room ${roomId}` +
+    (entries.length ? `, started ${entries[0].timestamp}` : '') + '\n\n';
+
+  return header + entries.map((entry, index) => {
+    const time = `[${clock(times[index].start)}]`;
+    if (languages.length === 1) {
+      return `${time} ${entry.speakerName}: ${entry.texts[languages[0]]}`;
+    }
+    return `${time} ${entry.speakerName}\n` +
+      languages.map(language => `  ${label(language)}: ${entry.texts[language]}`).join('\n');
+  }).join('\n') + '\n';
+}
+
+function toSrt(entries, languages) {
+  const times = cueTimes(entries);
+
+  return entries.map((entry, index) => {
+    const { start, end } = times[index];
+    const lines = languages.map(language => entry.texts[language]);
+    lines[0] = `${entry.speakerName}: ${lines[0]}`;
+    return `${index + 1}\n${clock(start, ',')} --> ${clock(end, ',')}\n${lines.join('\n')}\n`;
+  }).join('\n');
+}
+
+function escapeVtt(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function toVtt(entries, languages) {
+  const times = cueTimes(entries);
+  const cues = entries.map((entry, index) => {
+    const { start, end } = times[index];
+    const voice = `<v ${escapeVtt(entry.speakerName)}>`;
+    const lines = languages.map(language => `${voice}${escapeVtt(entry.texts[language])}`);
+    return `${index + 1}\n${clock(start, '.')} --> ${clock(end, '.')}\n${lines.join('\n')}\n`;
+  });
+
+  return ['WEBVTT\n', ...cues].join('\n');
+}
+
+function csvField(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(entries, languages) {
+  const rows = [['timestamp', 'speaker', 'source_language', ...languages]];
+  entries.forEach(entry => {
+    rows.push([entry.timestamp, entry.speakerName, entry.sourceLanguage, ...languages.map(language => entry.texts[language])]);
+  });
+  return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+function toJson(roomId, entries, languages) {
+  return JSON.stringify({
+    roomId,
+    startedAt: entries.length ? entries[0].timestamp : null,
+    languages,
+    messages: entries.map(entry => ({
+      messageId: entry.messageId,
+      timestamp: entry.timestamp,
+      speakerName: entry.speakerName,
+      speakerId: entry.speakerId,
+      messageType: entry.messageType,
+      sourceLanguage: entry.sourceLanguage,
+      originalText: entry.originalText,
+      translations: entry.translations,
+      texts: entry.texts
+    }))
+  }, null, 2);
+}
+
+function formatTranscript(format, roomId, entries, languages) {
+  switch (format) {
+    case 'txt':
+      return toText(roomId, entries, languages);
+    case 'srt':
+      return toSrt(entries, languages);
+    case 'vtt':
+      return toVtt(entries, languages);
+    case 'csv':
+      return toCsv(entries, languages);
+    case 'json':
+      return toJson(roomId, entries, languages);
+    default:
+      throw new Error(`Unknown transcript format "${format}"`);
+  }
+}
+
+module.exports = {
+  TRANSCRIPT_FORMATS,
+  formatTranscript
+};
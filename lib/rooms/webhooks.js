@@ -0,0 +1,329 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const { MemoryStateStore } = require('../state/store');
+const { isAdminToken } = require('../auth/tokens');
+
+// Outbound webhooks for room activity. Subscriptions are global or scoped to
+// one room and pick the events they want. Every delivery is a JSON POST signed
+// with the subscription's secret:
+//
+//   X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>">
+//   X-Webhook-Timestamp: <unix ms>
+//
+// Failed deliveries (network errors and non-2xx answers) are retried with
+// exponential backoff by the process that produced the event. Subscriptions and
+// the last deliveries of each live in the shared state store.
+//
+// Endpoints on private, loopback and link-local addresses are refused, both when
+// subscribing and on every delivery (the address is checked as the connection is
+// made, so a name that later resolves elsewhere gets no further).
+
+const WEBHOOK_EVENTS = ['room.created', 'user.joined', 'user.left', 'message.translated', 'room.closed'];
+
+const PRIVATE_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => PRIVATE_RANGES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => PRIVATE_RANGES.addSubnet(network, prefix, 'ipv6'));
+
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  return !family || PRIVATE_RANGES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// dns.lookup for outgoing deliveries that fails on private addresses
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const refused = addresses.find(({ address }) => isPrivateAddress(address));
+    if (refused) {
+      const privateError = new Error(`${hostname} resolves to a private address (${refused.address})`);
+      privateError.code = 'EPRIVATEADDRESS';
+      return callback(privateError);
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// Why a subscription request is invalid, or null when it is fine
+function validateWebhook(body) {
+  if (!body || typeof body !== 'object') return 'Expected a JSON object';
+
+  let url;
+  try {
+    url = new URL(body.url);
+  } catch (error) {
+    url = null;
+  }
+  if (!url || !['http:', 'https:'].includes(url.protocol)) {
+    return 'url must be an absolute http(s) URL';
+  }
+
+  const { events } = body;
+  if (events !== undefined && (!Array.isArray(events) || !events.length ||
+      !events.every(event => event === '*' || WEBHOOK_EVENTS.includes(event)))) {
+    return `events must be a list of ${WEBHOOK_EVENTS.join(', ')} or '*'`;
+  }
+  if (body.secret !== undefined && (typeof body.secret !== 'string' || body.secret.length < 16)) {
+    return 'secret must be a string of at least 16 characters';
+  }
+  return null;
+}
+
+class WebhookDispatcher {
+  constructor(options = {}) {
+    this.state = options.state || new MemoryStateStore();
+    this.maxAttempts = options.maxAttempts || 5;
+    this.backoffMs = options.backoffMs || 1000;
+    this.timeoutMs = options.timeoutMs || 5000;
+    this.logLimit = options.logLimit || 100;
+    this.adminToken = options.adminToken || null;
+    this.allowPrivate = !!options.allowPrivate;
+    this.agents = this.allowPrivate ? {} : {
+      httpAgent: new http.Agent({ lookup: publicLookup }),
+      httpsAgent: new https.Agent({ lookup: publicLookup })
+    };
+    this.timers = new Set();
+  }
+
+  // Why `url` may not receive deliveries, or null when it may
+  async targetRefusal(url) {
+    if (this.allowPrivate) return null;
+
+    // IPv6 literals keep their brackets in URL#hostname
+    const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(hostname)) {
+      return isPrivateAddress(hostname) ? `${hostname} is a private address` : null;
+    }
+
+    try {
+      const addresses = await dns.promises.lookup(hostname, { all: true });
+      const refused = addresses.find(({ address }) => isPrivateAddress(address));
+      return refused ? `${hostname} resolves to a private address (${refused.address})` : null;
+    } catch (error) {
+      return `Could not resolve ${hostname}`;
+    }
+  }
+
+  // Global subscriptions see every room, so managing them takes the admin token
+  isAdmin(token) {
+    return isAdminToken(token, this.adminToken);
+  }
+
+  // Subscriptions as listed: the secret is only shown when one is created
+  describe(subscription) {
+    const { secret, ...visible } = subscription;
+    return visible;
+  }
+
+  // Expects a body that passed validateWebhook
+  async create({ url, events = ['*'], roomId = null, secret, description = '' }) {
+    const subscription = {
+      id: uuidv4(),
+      url: new URL(url).toString(),
+      events: Array.from(new Set(events)),
+      roomId: roomId || null,
+      description: String(description).slice(0, 200),
+      secret: secret || crypto.randomBytes(32).toString('hex'),
+      createdAt: new Date().toISOString()
+    };
+    await this.state.hset('webhooks', subscription.id, subscription);
+    return subscription;
+  }
+
+  async get(id) {
+    return (await this.state.hget('webhooks', id)) || null;
+  }
+
+  // All subscriptions, or those of one room (null for the global ones)
+  async list(roomId) {
+    const all = Object.values(await this.state.hgetall('webhooks'));
+    const matching = roomId === undefined ? all : all.filter(subscription => subscription.roomId === roomId);
+    return matching.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  async remove(id) {
+    const subscription = await this.get(id);
+    if (!subscription) return false;
+
+    const ids = await this.state.lrange(this.logKey(id), 0, -1);
+    await Promise.all([
+      this.state.hdel('webhooks', id),
+      this.state.del(this.logKey(id)),
+      ...ids.map(deliveryId => this.state.hdel(this.deliveriesKey(id), deliveryId))
+    ]);
+    return true;
+  }
+
+  logKey(subscriptionId) {
+    return `webhook:${subscriptionId}:log`;
+  }
+
+  deliveriesKey(subscriptionId) {
+    return `webhook:${subscriptionId}:deliveries`;
+  }
+
+  // Newest first, optionally only 'pending', 'delivered' or 'failed' ones
+  async deliveries(subscriptionId, { limit = 50, status } = {}) {
+    const ids = await this.state.lrange(this.logKey(subscriptionId), 0, -1);
+    const records = await Promise.all(ids.reverse().map(id => this.state.hget(this.deliveriesKey(subscriptionId), id)));
+    return records
+      .filter(record => record && (!status || record.status === status))
+      .slice(0, limit);
+  }
+
+  async saveDelivery(delivery) {
+    await this.state.hset(this.deliveriesKey(delivery.subscriptionId), delivery.id, delivery);
+  }
+
+  // Record a new delivery, dropping the oldest once the log is full
+  async logDelivery(delivery) {
+    await this.saveDelivery(delivery);
+    await this.state.rpush(this.logKey(delivery.subscriptionId), delivery.id);
+
+    while (await this.state.llen(this.logKey(delivery.subscriptionId)) > this.logLimit) {
+      const oldest = await this.state.lpop(this.logKey(delivery.subscriptionId));
+      if (!oldest) break;
+      await this.state.hdel(this.deliveriesKey(delivery.subscriptionId), oldest);
+    }
+  }
+
+  sign(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+  }
+
+  // Send `event` to every subscription that wants it. Resolves once the deliveries are
+  // logged; sending and retrying carry on in the background.
+  async dispatch(event, roomId, data) {
+    const subscriptions = (await this.list()).filter(subscription =>
+      (!subscription.roomId || subscription.roomId === roomId) &&
+      (subscription.events.includes('*') || subscription.events.includes(event)));
+    if (!subscriptions.length) return [];
+
+    const payload = { id: uuidv4(), event, roomId, timestamp: new Date().toISOString(), data };
+
+    return Promise.all(subscriptions.map(async (subscription) => {
+      const delivery = {
+        id: uuidv4(),
+        subscriptionId: subscription.id,
+        event,
+        roomId,
+        status: 'pending',
+        attempts: [],
+        nextAttemptAt: null,
+        createdAt: payload.timestamp,
+        payload
+      };
+      await this.logDelivery(delivery);
+      this.attempt(subscription, delivery).catch(error => console.error('Webhook delivery failed:', error.message));
+      return delivery.id;
+    }));
+  }
+
+  async attempt(subscription, delivery) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Date.now();
+    const attempt = { at: new Date(timestamp).toISOString(), status: null, error: null, durationMs: 0 };
+
+    try {
+      // Names are checked as they resolve (see publicLookup); IP literals skip the lookup
+      const refusal = net.isIP(new URL(subscription.url).hostname.replace(/^\[|\]$/g, ''))
+        ? await this.targetRefusal(subscription.url)
+        : null;
+      if (refusal) throw Object.assign(new Error(refusal), { code: 'EPRIVATEADDRESS' });
+
+      const response = await axios.post(subscription.url, body, {
+        ...this.agents,
+        timeout: this.timeoutMs,
+        maxRedirects: 0,
+        validateStatus: () => true,
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'live-translation-webhooks',
+          'X-Webhook-Id': delivery.id,
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': this.sign(subscription.secret, timestamp, body)
+        }
+      });
+      attempt.status = response.status;
+      if (response.status < 200 || response.status >= 300) attempt.error = `HTTP ${response.status}`;
+    } catch (error) {
+      attempt.error = error.code || error.message;
+    }
+    attempt.durationMs = Date.now() - timestamp;
+    delivery.attempts.push(attempt);
+
+    if (!attempt.error) {
+      delivery.status = 'delivered';
+      delivery.nextAttemptAt = null;
+    } else if (delivery.attempts.length >= this.maxAttempts) {
+      delivery.status = 'failed';
+      delivery.nextAttemptAt = null;
+    } else {
+      // 1s, 2s, 4s, 8s... with a little jitter so a recovering endpoint is not hit all at once
+      const delay = this.backoffMs * 2 ** (delivery.attempts.length - 1) * (1 + Math.random() * 0.2);
+      delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+      this.retryLater(subscription, delivery, delay);
+    }
+
+    // Unsubscribed or pushed out of the log in the meantime: nothing left to update
+    if (await this.state.hget(this.deliveriesKey(subscription.id), delivery.id)) {
+      await this.saveDelivery(delivery);
+    }
+  }
+
+  retryLater(subscription, delivery, delay) {
+    const timer = setTimeout(() => {
+      this.timers.delete(timer);
+      // Unsubscribed in the meantime: drop the retry
+      this.get(subscription.id)
+        .then(current => current && this.attempt(subscription, delivery))
+        .catch(error => console.error('Webhook delivery failed:', error.message));
+    }, delay);
+    if (timer.unref) timer.unref();
+    this.timers.add(timer);
+  }
+
+  close() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+  }
+}
+
+//   WEBHOOK_MAX_ATTEMPTS  tries per delivery before it is marked failed (5)
+//   WEBHOOK_BACKOFF_MS    wait before the first retry, doubled for each further one (1000)
+//   WEBHOOK_TIMEOUT_MS    how long an endpoint has to answer (5000)
+//   WEBHOOK_LOG_LIMIT     deliveries kept per subscription (100)
+//   WEBHOOK_ADMIN_TOKEN   bearer token for managing global subscriptions (none: room ones only)
+//   WEBHOOK_ALLOW_PRIVATE_TARGETS  true to deliver to private and loopback addresses, e.g. in development
+function createWebhooks(env = process.env, state) {
+  return new WebhookDispatcher({
+    state,
+    adminToken: env.WEBHOOK_ADMIN_TOKEN,
+    allowPrivate: env.WEBHOOK_ALLOW_PRIVATE_TARGETS === 'true',
+    maxAttempts: Number(env.WEBHOOK_MAX_ATTEMPTS) || undefined,
+    backoffMs: Number(env.WEBHOOK_BACKOFF_MS) || undefined,
+    timeoutMs: Number(env.WEBHOOK_TIMEOUT_MS) || undefined,
+    logLimit: Number(env.WEBHOOK_LOG_LIMIT) || undefined
+  });
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  WebhookDispatcher,
+  createWebhooks,
+  validateWebhook,
+  isPrivateAddress
+};
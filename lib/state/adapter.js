@@ -0,0 +1,43 @@
+const { ClusterAdapterWithHeartbeat } = require('socket.io-adapter');
+
+// Socket.IO adapter that relays broadcasts, room joins/leaves and fetchSockets between
+// server processes over the state store's pub/sub, so io.to(room).emit() reaches
+// sockets connected to any process. Packets travel as JSON, so binary payloads are
+// not supported (the app only sends plain objects).
+
+class StateStoreAdapter extends ClusterAdapterWithHeartbeat {
+  constructor(nsp, store, options = {}) {
+    super(nsp, options);
+    this.store = store;
+    this.channel = `socket.io#${nsp.name}#`;
+
+    const subscribeFailed = error => console.error('Socket.IO adapter subscribe failed:', error.message);
+    store.subscribe(this.channel, message => this.onMessage(message)).catch(subscribeFailed);
+    store.subscribe(this.responseChannel(this.uid), response => this.onResponse(response)).catch(subscribeFailed);
+  }
+
+  responseChannel(uid) {
+    return `${this.channel}${uid}#`;
+  }
+
+  async doPublish(message) {
+    await this.store.publish(this.channel, message);
+    // No offsets: connection state recovery is handled by the app's own session resume
+    return '';
+  }
+
+  async doPublishResponse(requesterUid, response) {
+    await this.store.publish(this.responseChannel(requesterUid), response);
+  }
+}
+
+function createStateStoreAdapter(store, options) {
+  return function (nsp) {
+    return new StateStoreAdapter(nsp, store, options);
+  };
+}
+
+module.exports = {
+  StateStoreAdapter,
+  createStateStoreAdapter
+};
@@ -0,0 +1,212 @@
+const net = require('net');
+const { MemoryStateStore } = require('./store');
+
+// A tiny state hub for running several server processes on one machine (or in tests)
+// without Redis: one process owns a MemoryStateStore and the others reach it over TCP.
+// Wire format is newline-delimited JSON:
+//   request   { id, op, args }
+//   reply     { id, result } or { id, error }
+//   message   { channel, message }   pushed to subscribers
+
+const COMMANDS = [
+  'get', 'set', 'setIfAbsent', 'del', 'incrby',
+  'hget', 'hset', 'hdel', 'hgetall', 'hlen',
+  'rpush', 'lpop', 'lrange', 'llen', 'lrem', 'ltrim',
+  'publish'
+];
+
+function parseAddress(url = '127.0.0.1:7070') {
+  const [host, port] = String(url).replace(/^\w+:\/\//, '').split(':');
+  return { host: host || '127.0.0.1', port: Number(port) || 7070 };
+}
+
+// Split a socket's byte stream into JSON lines. A line that is not a JSON object is
+// logged and dropped rather than taking the process down.
+function onLines(socket, handler) {
+  let buffer = '';
+  socket.setEncoding('utf8');
+  socket.on('data', chunk => {
+    buffer += chunk;
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newline);
+      buffer = buffer.slice(newline + 1);
+      if (!line) continue;
+
+      let payload;
+      try {
+        payload = JSON.parse(line);
+      } catch (error) {
+        console.warn('State hub dropped a malformed line:', error.message);
+        continue;
+      }
+      if (payload && typeof payload === 'object') {
+        handler(payload);
+      } else {
+        console.warn('State hub dropped a line that is not an object');
+      }
+    }
+  });
+}
+
+function send(socket, payload) {
+  if (!socket.destroyed) socket.write(JSON.stringify(payload) + '\n');
+}
+
+function createHubServer(store = new MemoryStateStore()) {
+  const subscribed = new Map();
+
+  return net.createServer(socket => {
+    onLines(socket, async ({ id, op, args = [] }) => {
+      if (op === 'subscribe') {
+        const channel = args[0];
+        if (!subscribed.has(channel)) {
+          subscribed.set(channel, new Set());
+          store.subscribe(channel, message => {
+            subscribed.get(channel).forEach(subscriber => send(subscriber, { channel, message }));
+          });
+        }
+        subscribed.get(channel).add(socket);
+        return send(socket, { id, result: true });
+      }
+
+      if (!COMMANDS.includes(op)) {
+        return send(socket, { id, error: `Unknown command "${op}"` });
+      }
+
+      try {
+        send(socket, { id, result: await store[op](...args) });
+      } catch (error) {
+        send(socket, { id, error: error.message });
+      }
+    });
+
+    socket.on('close', () => subscribed.forEach(sockets => sockets.delete(socket)));
+    socket.on('error', () => socket.destroy());
+  });
+}
+
+// Client side: the same async interface as the other state stores. When the hub goes
+// away, requests in flight fail and new ones fail at once until the client has reconnected
+// (retrying with backoff) and renewed its subscriptions.
+class HubStateStore {
+  constructor(options = {}) {
+    this.address = parseAddress(options.url);
+    this.retryMs = options.retryMs || 250;
+    this.maxRetryMs = options.maxRetryMs || 10000;
+    this.nextId = 1;
+    this.pending = new Map();
+    this.handlers = new Map();
+    this.attempts = 0;
+    this.reconnectTimer = null;
+    this.closed = false;
+    this.connect();
+  }
+
+  get name() {
+    return `${this.address.host}:${this.address.port}`;
+  }
+
+  connect() {
+    const socket = net.connect(this.address);
+    const reconnecting = this.attempts > 0;
+    this.socket = socket;
+
+    onLines(socket, payload => {
+      if (payload.channel !== undefined) {
+        (this.handlers.get(payload.channel) || []).forEach(handler => handler(payload.message));
+        return;
+      }
+
+      const request = this.pending.get(payload.id);
+      if (!request) return;
+      this.pending.delete(payload.id);
+      if (payload.error) {
+        request.reject(new Error(payload.error));
+      } else {
+        request.resolve(payload.result);
+      }
+    });
+
+    socket.on('connect', () => {
+      this.attempts = 0;
+      if (!reconnecting) return;
+
+      // The hub forgot this client's subscriptions along with the old connection
+      console.log(`State hub ${this.name} reconnected`);
+      this.handlers.forEach((handlers, channel) => {
+        this.command('subscribe', [channel])
+          .catch(error => console.error(`State hub resubscribe to ${channel} failed:`, error.message));
+      });
+    });
+
+    socket.on('error', error => {
+      console.error(`State hub ${this.name} unreachable:`, error.message);
+    });
+
+    socket.on('close', () => {
+      const error = new Error(`State hub ${this.name} connection closed`);
+      this.pending.forEach(request => request.reject(error));
+      this.pending.clear();
+      if (!this.closed) this.reconnect();
+    });
+  }
+
+  // 250ms, 500ms, 1s... up to maxRetryMs between attempts
+  reconnect() {
+    const delay = Math.min(this.maxRetryMs, this.retryMs * 2 ** this.attempts);
+    this.attempts++;
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connect();
+    }, delay);
+    if (this.reconnectTimer.unref) this.reconnectTimer.unref();
+  }
+
+  command(op, args) {
+    // Between a dropped connection and the next attempt nothing would ever answer
+    if (this.socket.destroyed) {
+      return Promise.reject(new Error(`State hub ${this.name} is not connected`));
+    }
+
+    return new Promise((resolve, reject) => {
+      const id = this.nextId++;
+      this.pending.set(id, { resolve, reject });
+      send(this.socket, { id, op, args });
+    });
+  }
+
+  // Handlers are kept even when the hub cannot be reached, and subscribed again on reconnect
+  async subscribe(channel, handler) {
+    const isNew = !this.handlers.has(channel);
+    if (isNew) this.handlers.set(channel, []);
+    this.handlers.get(channel).push(handler);
+    if (isNew) await this.command('subscribe', [channel]);
+    return true;
+  }
+
+  async close() {
+    this.closed = true;
+    clearTimeout(this.reconnectTimer);
+    this.socket.end();
+  }
+}
+
+COMMANDS.forEach(op => {
+  HubStateStore.prototype[op] = function (...args) {
+    return this.command(op, args);
+  };
+});
+
+module.exports = {
+  HubStateStore,
+  createHubServer
+};
+
+//   STATE_HUB_URL   address to listen on (127.0.0.1:7070)
+if (require.main === module) {
+  const { host, port } = parseAddress(process.env.STATE_HUB_URL);
+  createHubServer().listen(port, host, () => {
+    console.log(`🔗 State hub listening on ${host}:${port}`);
+  });
+}
@@ -0,0 +1,45 @@
+const crypto = require('crypto');
+
+// A process-local copy of a collection kept in the shared state store, for data that is
+// read on every translation (glossaries, translation memory) and written rarely. Records
+// live in a hash keyed by id; every write is also published, and each process applies it
+// to its own copy. Reads never leave the process; a write made on one process reaches
+// the others a moment later.
+
+class SharedCollection {
+  // handlers: { put(record), remove(id) } applying a change to the local copy
+  constructor(state, name, handlers) {
+    this.state = state;
+    this.hash = name;
+    this.channel = `${name}#changes`;
+    this.origin = crypto.randomBytes(8).toString('hex');
+    this.handlers = handlers;
+  }
+
+  // Subscribe before reading the hash so nothing written in between is missed
+  async load() {
+    await this.state.subscribe(this.channel, message => {
+      if (message.origin === this.origin) return;
+      message.records.forEach(record => this.handlers.put(record));
+      message.removed.forEach(id => this.handlers.remove(id));
+    });
+
+    const records = await this.state.hgetall(this.hash);
+    Object.values(records).forEach(record => this.handlers.put(record));
+  }
+
+  // The caller has already applied these to its own copy
+  async put(records) {
+    await Promise.all(records.map(record => this.state.hset(this.hash, record.id, record)));
+    await this.state.publish(this.channel, { origin: this.origin, records, removed: [] });
+  }
+
+  async remove(ids) {
+    await Promise.all(ids.map(id => this.state.hdel(this.hash, id)));
+    await this.state.publish(this.channel, { origin: this.origin, records: [], removed: ids });
+  }
+}
+
+module.exports = {
+  SharedCollection
+};
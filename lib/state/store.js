@@ -0,0 +1,326 @@
+const { EventEmitter } = require('events');
+
+// Shared state behind a small Redis-style command set (strings, counters, hashes, lists, pub/sub),
+// so room membership, sessions and floor queues can live outside one process.
+// Values are JSON-serialized in every backend, so callers never share object references
+// with the store and behave the same whichever backend is configured.
+
+function encode(value) {
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+function decode(raw) {
+  return raw === null || raw === undefined ? null : JSON.parse(raw);
+}
+
+// Redis-style inclusive range with negative indexes counted from the end
+function sliceRange(list, start, stop) {
+  const from = start < 0 ? Math.max(list.length + start, 0) : start;
+  const to = stop < 0 ? list.length + stop : stop;
+  return list.slice(from, to + 1);
+}
+
+// Single-process store; also the state behind the hub (see hub.js)
+class MemoryStateStore {
+  constructor() {
+    this.entries = new Map();
+    this.channels = new EventEmitter();
+    this.channels.setMaxListeners(0);
+  }
+
+  entry(key, type) {
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    if (entry && type && entry.type !== type) {
+      throw new Error(`Key "${key}" holds a ${entry.type}, not a ${type}`);
+    }
+    return entry || null;
+  }
+
+  create(key, type, value) {
+    const entry = { type, value, expiresAt: null };
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  async get(key) {
+    const entry = this.entry(key, 'string');
+    return entry ? decode(entry.value) : null;
+  }
+
+  async set(key, value, ttlMs) {
+    const entry = this.create(key, 'string', encode(value));
+    if (ttlMs) entry.expiresAt = Date.now() + ttlMs;
+    return true;
+  }
+
+  // SET NX: true when the key was free and is now ours
+  async setIfAbsent(key, value, ttlMs) {
+    if (this.entry(key)) return false;
+    return this.set(key, value, ttlMs);
+  }
+
+  async del(key) {
+    return this.entries.delete(key);
+  }
+
+  // INCRBY on a counter; `ttlMs` only applies when this call creates it
+  async incrby(key, amount, ttlMs) {
+    const entry = this.entry(key, 'string');
+    const value = (entry ? decode(entry.value) : 0) + amount;
+    if (entry) {
+      entry.value = encode(value);
+    } else {
+      await this.set(key, value, ttlMs);
+    }
+    return value;
+  }
+
+  async hget(key, field) {
+    const entry = this.entry(key, 'hash');
+    return entry && entry.value.has(field) ? decode(entry.value.get(field)) : null;
+  }
+
+  async hset(key, field, value) {
+    const entry = this.entry(key, 'hash') || this.create(key, 'hash', new Map());
+    entry.value.set(field, encode(value));
+    return true;
+  }
+
+  async hdel(key, field) {
+    const entry = this.entry(key, 'hash');
+    if (!entry) return false;
+
+    const deleted = entry.value.delete(field);
+    if (entry.value.size === 0) this.entries.delete(key);
+    return deleted;
+  }
+
+  async hgetall(key) {
+    const entry = this.entry(key, 'hash');
+    const result = {};
+    if (entry) entry.value.forEach((raw, field) => { result[field] = decode(raw); });
+    return result;
+  }
+
+  async hlen(key) {
+    const entry = this.entry(key, 'hash');
+    return entry ? entry.value.size : 0;
+  }
+
+  async rpush(key, value) {
+    const entry = this.entry(key, 'list') || this.create(key, 'list', []);
+    return entry.value.push(encode(value));
+  }
+
+  async lpop(key) {
+    const entry = this.entry(key, 'list');
+    if (!entry) return null;
+
+    const raw = entry.value.shift();
+    if (entry.value.length === 0) this.entries.delete(key);
+    return decode(raw);
+  }
+
+  async lrange(key, start, stop) {
+    const entry = this.entry(key, 'list');
+    return entry ? sliceRange(entry.value, start, stop).map(decode) : [];
+  }
+
+  async llen(key) {
+    const entry = this.entry(key, 'list');
+    return entry ? entry.value.length : 0;
+  }
+
+  // Remove every element equal to `value`; returns how many went
+  async lrem(key, value) {
+    const entry = this.entry(key, 'list');
+    if (!entry) return 0;
+
+    const raw = encode(value);
+    const before = entry.value.length;
+    entry.value = entry.value.filter(item => item !== raw);
+    if (entry.value.length === 0) this.entries.delete(key);
+    return before - entry.value.length;
+  }
+
+  async ltrim(key, start, stop) {
+    const entry = this.entry(key, 'list');
+    if (!entry) return true;
+
+    entry.value = sliceRange(entry.value, start, stop);
+    if (entry.value.length === 0) this.entries.delete(key);
+    return true;
+  }
+
+  async publish(channel, message) {
+    // Deliver asynchronously, as a network backend would
+    const raw = encode(message);
+    setImmediate(() => this.channels.emit(channel, decode(raw)));
+    return true;
+  }
+
+  async subscribe(channel, handler) {
+    this.channels.on(channel, handler);
+    return true;
+  }
+
+  async close() {
+    this.channels.removeAllListeners();
+  }
+}
+
+// Redis (or anything speaking its protocol) through ioredis, installed separately
+class RedisStateStore {
+  constructor(options = {}) {
+    let Redis;
+    try {
+      Redis = require('ioredis');
+    } catch (error) {
+      throw new Error('STATE_BACKEND=redis needs the ioredis package (npm install ioredis)');
+    }
+
+    this.prefix = options.prefix || 'lt:';
+    this.redis = new Redis(options.url);
+    // A subscribed connection cannot run other commands
+    this.subscriber = new Redis(options.url);
+    this.handlers = new Map();
+
+    this.subscriber.on('message', (channel, raw) => {
+      const handlers = this.handlers.get(channel.slice(this.prefix.length)) || [];
+      const message = decode(raw);
+      handlers.forEach(handler => handler(message));
+    });
+  }
+
+  key(key) {
+    return this.prefix + key;
+  }
+
+  async get(key) {
+    return decode(await this.redis.get(this.key(key)));
+  }
+
+  async set(key, value, ttlMs) {
+    if (ttlMs) {
+      await this.redis.set(this.key(key), encode(value), 'PX', ttlMs);
+    } else {
+      await this.redis.set(this.key(key), encode(value));
+    }
+    return true;
+  }
+
+  async setIfAbsent(key, value, ttlMs) {
+    const result = ttlMs
+      ? await this.redis.set(this.key(key), encode(value), 'PX', ttlMs, 'NX')
+      : await this.redis.set(this.key(key), encode(value), 'NX');
+    return result === 'OK';
+  }
+
+  async del(key) {
+    return (await this.redis.del(this.key(key))) > 0;
+  }
+
+  async incrby(key, amount, ttlMs) {
+    const value = await this.redis.incrby(this.key(key), amount);
+    // The call that created the counter starts its clock
+    if (ttlMs && value === amount) await this.redis.pexpire(this.key(key), ttlMs);
+    return value;
+  }
+
+  async hget(key, field) {
+    return decode(await this.redis.hget(this.key(key), field));
+  }
+
+  async hset(key, field, value) {
+    await this.redis.hset(this.key(key), field, encode(value));
+    return true;
+  }
+
+  async hdel(key, field) {
+    return (await this.redis.hdel(this.key(key), field)) > 0;
+  }
+
+  async hgetall(key) {
+    const raw = await this.redis.hgetall(this.key(key));
+    const result = {};
+    Object.entries(raw).forEach(([field, value]) => { result[field] = decode(value); });
+    return result;
+  }
+
+  async hlen(key) {
+    return this.redis.hlen(this.key(key));
+  }
+
+  async rpush(key, value) {
+    return this.redis.rpush(this.key(key), encode(value));
+  }
+
+  async lpop(key) {
+    return decode(await this.redis.lpop(this.key(key)));
+  }
+
+  async lrange(key, start, stop) {
+    return (await this.redis.lrange(this.key(key), start, stop)).map(decode);
+  }
+
+  async llen(key) {
+    return this.redis.llen(this.key(key));
+  }
+
+  async lrem(key, value) {
+    return this.redis.lrem(this.key(key), 0, encode(value));
+  }
+
+  async ltrim(key, start, stop) {
+    await this.redis.ltrim(this.key(key), start, stop);
+    return true;
+  }
+
+  async publish(channel, message) {
+    await this.redis.publish(this.key(channel), encode(message));
+    return true;
+  }
+
+  async subscribe(channel, handler) {
+    if (!this.handlers.has(channel)) {
+      this.handlers.set(channel, []);
+      await this.subscriber.subscribe(this.key(channel));
+    }
+    this.handlers.get(channel).push(handler);
+    return true;
+  }
+
+  async close() {
+    this.redis.disconnect();
+    this.subscriber.disconnect();
+  }
+}
+
+//   STATE_BACKEND       memory (default, one process), hub or redis
+//   STATE_HUB_URL       hub address for STATE_BACKEND=hub (127.0.0.1:7070)
+//   REDIS_URL           connection string for STATE_BACKEND=redis (redis://127.0.0.1:6379)
+//   STATE_KEY_PREFIX    prefix for Redis keys and channels (lt:)
+function createStateStore(env = process.env) {
+  switch (env.STATE_BACKEND || 'memory') {
+    case 'memory':
+      return new MemoryStateStore();
+    case 'hub': {
+      const { HubStateStore } = require('./hub');
+      return new HubStateStore({ url: env.STATE_HUB_URL });
+    }
+    case 'redis':
+      return new RedisStateStore({ url: env.REDIS_URL, prefix: env.STATE_KEY_PREFIX });
+    default:
+      throw new Error(`Unknown STATE_BACKEND "${env.STATE_BACKEND}" (expected memory, hub or redis)`);
+  }
+}
+
+module.exports = {
+  MemoryStateStore,
+  RedisStateStore,
+  createStateStore
+};
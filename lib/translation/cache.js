@@ -0,0 +1,182 @@
+const fs = require('fs');
+const path = require('path');
+
+// In-memory store with LRU eviction (Map keeps insertion order)
+class MemoryStore {
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 5000;
+    this.entries = new Map();
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (entry) {
+      // Move to the back so it is evicted last
+      this.entries.delete(key);
+      this.entries.set(key, entry);
+    }
+    return entry;
+  }
+
+  set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    while (this.entries.size > this.maxEntries) {
+      const oldestKey = this.entries.keys().next().value;
+      this.entries.delete(oldestKey);
+    }
+  }
+
+  delete(key) {
+    return this.entries.delete(key);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  keys() {
+    return Array.from(this.entries.keys());
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
+
+// Memory store that is loaded from and periodically flushed to a JSON file
+class FileStore extends MemoryStore {
+  constructor(options = {}) {
+    super(options);
+    this.file = path.resolve(options.file);
+    this.flushDelay = options.flushDelay || 2000;
+    this.flushTimer = null;
+    this.load();
+  }
+
+  load() {
+    try {
+      const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      (data.entries || []).forEach(([key, entry]) => super.set(key, entry));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`Could not load translation cache from ${this.file}:`, error.message);
+      }
+    }
+  }
+
+  set(key, entry) {
+    super.set(key, entry);
+    this.scheduleFlush();
+  }
+
+  delete(key) {
+    const deleted = super.delete(key);
+    if (deleted) this.scheduleFlush();
+    return deleted;
+  }
+
+  clear() {
+    super.clear();
+    this.scheduleFlush();
+  }
+
+  scheduleFlush() {
+    if (this.flushTimer) return;
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush();
+    }, this.flushDelay);
+    if (this.flushTimer.unref) this.flushTimer.unref();
+  }
+
+  flush() {
+    const data = JSON.stringify({ entries: Array.from(this.entries.entries()) });
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.writeFile(this.file, data, (error) => {
+      if (error) console.warn(`Could not write translation cache to ${this.file}:`, error.message);
+    });
+  }
+}
+
+// Collapse whitespace and Unicode forms so trivially different input shares an entry
+function normalizeText(text) {
+  return String(text).normalize('NFC').replace(/\s+/g, ' ').trim();
+}
+
+class TranslationCache {
+  constructor(store, options = {}) {
+    this.store = store;
+    this.ttlMs = options.ttlMs || 24 * 60 * 60 * 1000;
+    this.now = options.now || Date.now;
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  key(text, sourceLang, targetLang) {
+    return `${sourceLang || 'auto'}|${targetLang}|${normalizeText(text)}`;
+  }
+
+  get(text, sourceLang, targetLang) {
+    const key = this.key(text, sourceLang, targetLang);
+    const entry = this.store.get(key);
+
+    if (entry && this.now() - entry.cachedAt < this.ttlMs) {
+      this.hits++;
+      return entry;
+    }
+
+    if (entry) this.store.delete(key);
+    this.misses++;
+    return null;
+  }
+
+  set(text, sourceLang, targetLang, result) {
+    this.store.set(this.key(text, sourceLang, targetLang), {
+      translatedText: result.translatedText,
+      provider: result.provider,
+      cachedAt: this.now()
+    });
+  }
+
+  // Drop every entry for a given text/pair, e.g. after a correction
+  invalidate(text, sourceLang, targetLang) {
+    return this.store.delete(this.key(text, sourceLang, targetLang));
+  }
+
+  stats() {
+    const total = this.hits + this.misses;
+    return {
+      store: this.store.constructor.name,
+      entries: this.store.size,
+      maxEntries: this.store.maxEntries,
+      ttlMs: this.ttlMs,
+      hits: this.hits,
+      misses: this.misses,
+      hitRatio: total > 0 ? this.hits / total : 0
+    };
+  }
+}
+
+//   TRANSLATION_CACHE_SIZE    maximum entries (5000)
+//   TRANSLATION_CACHE_TTL_MS  entry lifetime (24h)
+//   TRANSLATION_CACHE_FILE    persist the cache to this JSON file instead of memory only
+function createTranslationCache(env = process.env) {
+  const maxEntries = Number(env.TRANSLATION_CACHE_SIZE) || 5000;
+  const store = env.TRANSLATION_CACHE_FILE
+    ? new FileStore({ file: env.TRANSLATION_CACHE_FILE, maxEntries })
+    : new MemoryStore({ maxEntries });
+
+  return new TranslationCache(store, {
+    ttlMs: Number(env.TRANSLATION_CACHE_TTL_MS) || undefined
+  });
+}
+
+module.exports = {
+  MemoryStore,
+  FileStore,
+  TranslationCache,
+  normalizeText,
+  createTranslationCache
+};
@@ -0,0 +1,148 @@
+// Offline language detection
+//   1. Non-Latin scripts are identified by Unicode range (kana -> ja, hangul -> ko, ...)
+//   2. Latin-script text is scored against character n-gram profiles built from
+//      language-samples.js, using smoothed log-probabilities so short phrases still rank
+
+const samples = require('./language-samples');
+
+const NGRAM_SIZES = [1, 2, 3];
+
+// Scripts that map straight to one of the app's languages
+const SCRIPTS = [
+  { language: 'ja', pattern: /[぀-ゟ゠-ヿ]/g },
+  { language: 'ko', pattern: /[가-힯ᄀ-ᇿ]/g },
+  { language: 'zh', pattern: /[一-鿿]/g },
+  { language: 'ar', pattern: /[؀-ۿ]/g },
+  { language: 'ru', pattern: /[Ѐ-ӿ]/g },
+  { language: 'hi', pattern: /[ऀ-ॿ]/g }
+];
+
+const LATIN = /[a-zà-öø-ÿœß]/g;
+
+function normalize(text) {
+  return ` ${String(text)
+    .toLowerCase()
+    .normalize('NFC')
+    .replace(/[^\p{L}\s']/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()} `;
+}
+
+function extractNgrams(text) {
+  const ngrams = [];
+  NGRAM_SIZES.forEach(size => {
+    for (let i = 0; i + size <= text.length; i++) {
+      const gram = text.slice(i, i + size);
+      if (gram.trim()) ngrams.push(gram);
+    }
+  });
+  return ngrams;
+}
+
+function buildProfile(text) {
+  const counts = new Map();
+  let total = 0;
+
+  extractNgrams(normalize(text)).forEach(gram => {
+    counts.set(gram, (counts.get(gram) || 0) + 1);
+    total++;
+  });
+
+  return { counts, total, vocabulary: counts.size };
+}
+
+const profiles = new Map(
+  Object.entries(samples).map(([language, text]) => [language, buildProfile(text)])
+);
+
+function countMatches(text, pattern) {
+  return (text.match(pattern) || []).length;
+}
+
+// Turn raw log scores into probabilities that sum to 1
+function softmax(scores) {
+  const max = Math.max(...scores.map(entry => entry.score));
+  const weights = scores.map(entry => ({ language: entry.language, weight: Math.exp(entry.score - max) }));
+  const total = weights.reduce((sum, entry) => sum + entry.weight, 0);
+  return weights.map(entry => ({ language: entry.language, confidence: entry.weight / total }));
+}
+
+function scoreLatin(text) {
+  const grams = extractNgrams(normalize(text));
+  if (grams.length === 0) return [];
+
+  const scores = Array.from(profiles.entries()).map(([language, profile]) => {
+    const denominator = profile.total + profile.vocabulary;
+    const score = grams.reduce((sum, gram) => {
+      // Add-one smoothing; longer n-grams carry more weight
+      return sum + gram.length * Math.log(((profile.counts.get(gram) || 0) + 1) / denominator);
+    }, 0);
+    return { language, score: score / Math.sqrt(grams.length) };
+  });
+
+  return softmax(scores);
+}
+
+// Rank candidate languages for `text`, best first
+function detectLanguage(text, options = {}) {
+  const limit = options.limit || 5;
+  const letters = String(text || '').toLowerCase();
+
+  const scriptCounts = SCRIPTS.map(script => ({
+    language: script.language,
+    count: countMatches(letters, script.pattern)
+  }));
+  const latinCount = countMatches(letters, LATIN);
+  const totalLetters = latinCount + scriptCounts.reduce((sum, script) => sum + script.count, 0);
+
+  if (totalLetters === 0) {
+    return { language: null, confidence: 0, reliable: false, candidates: [] };
+  }
+
+  // Japanese mixes kanji with kana, so kana wins over Han characters
+  const kana = scriptCounts.find(script => script.language === 'ja');
+  const han = scriptCounts.find(script => script.language === 'zh');
+  if (kana.count > 0) {
+    kana.count += han.count;
+    han.count = 0;
+  }
+
+  let candidates = scriptCounts
+    .filter(script => script.count > 0)
+    .map(script => ({ language: script.language, confidence: script.count / totalLetters }));
+
+  if (latinCount > 0) {
+    const share = latinCount / totalLetters;
+    candidates = candidates.concat(
+      scoreLatin(text).map(entry => ({ language: entry.language, confidence: entry.confidence * share }))
+    );
+  }
+
+  // Very short input cannot be trusted however peaked the scores are;
+  // a CJK character carries roughly as much as a short Latin word
+  const cjkCount = scriptCounts
+    .filter(script => ['ja', 'zh', 'ko'].includes(script.language))
+    .reduce((sum, script) => sum + script.count, 0);
+  const lengthFactor = Math.min(1, (totalLetters + 2 * cjkCount) / 12);
+  candidates = candidates
+    .map(entry => ({ language: entry.language, confidence: Number((entry.confidence * lengthFactor).toFixed(4)) }))
+    .sort((a, b) => b.confidence - a.confidence)
+    .slice(0, limit);
+
+  const [best] = candidates;
+  return {
+    language: best.language,
+    confidence: best.confidence,
+    reliable: best.confidence >= (options.minConfidence || 0.5),
+    candidates
+  };
+}
+
+function supportedLanguages() {
+  return SCRIPTS.map(script => script.language).concat(Array.from(profiles.keys()));
+}
+
+module.exports = {
+  detectLanguage,
+  supportedLanguages
+};
@@ -0,0 +1,278 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { SharedCollection } = require('../state/replica');
+const { sha256, tokenMatchesHash } = require('../auth/tokens');
+
+// A glossary holds per-pair term mappings and a do-not-translate list:
+//   {
+//     name: 'Product terms',
+//     terms: { 'en-es': { 'Live Translation': 'Traducción en vivo' } },
+//     doNotTranslate: ['Acme', 'Kubernetes'],
+//     caseSensitive: false
+//   }
+// Each glossary belongs to whoever created it: an API key, or the holder of an owner
+// token (their own, or one handed out on creation). Glossaries without an owner, e.g. from
+// an older GLOSSARY_FILE, can be read and used but not changed through the API.
+
+const MIN_OWNER_TOKEN_LENGTH = 16;
+
+function validateGlossary(input) {
+  if (!input || typeof input !== 'object') return 'Glossary body must be an object';
+  if (input.name !== undefined && typeof input.name !== 'string') return 'name must be a string';
+
+  if (input.terms !== undefined) {
+    if (typeof input.terms !== 'object' || Array.isArray(input.terms)) {
+      return 'terms must map "source-target" pairs to { term: translation } objects';
+    }
+    for (const [pair, mapping] of Object.entries(input.terms)) {
+      if (!/^[\w]+-[\w]+$/.test(pair)) return `Invalid language pair "${pair}", expected e.g. "en-es"`;
+      if (!mapping || typeof mapping !== 'object') return `terms["${pair}"] must be an object`;
+      for (const [source, target] of Object.entries(mapping)) {
+        if (!source.trim() || typeof target !== 'string') return `Invalid term "${source}" in ${pair}`;
+      }
+    }
+  }
+
+  if (input.doNotTranslate !== undefined) {
+    if (!Array.isArray(input.doNotTranslate) || input.doNotTranslate.some(term => typeof term !== 'string' || !term.trim())) {
+      return 'doNotTranslate must be an array of non-empty strings';
+    }
+  }
+
+  return null;
+}
+
+class GlossaryStore {
+  constructor(options = {}) {
+    this.glossaries = new Map();
+    this.file = options.file ? path.resolve(options.file) : null;
+    this.flushDelay = options.flushDelay || 1000;
+    this.flushTimer = null;
+    this.load();
+
+    // With a shared state store, every process sees every glossary (see lib/state/replica.js)
+    this.shared = options.state ? new SharedCollection(options.state, 'glossaries', {
+      put: glossary => this.glossaries.set(glossary.id, glossary),
+      remove: id => this.glossaries.delete(id)
+    }) : null;
+    if (this.shared) {
+      this.shared.load().catch(error => console.error('Could not load shared glossaries:', error.message));
+    }
+  }
+
+  load() {
+    if (!this.file) return;
+    try {
+      const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      (data.glossaries || []).forEach(glossary => this.glossaries.set(glossary.id, glossary));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`Could not load glossaries from ${this.file}:`, error.message);
+      }
+    }
+  }
+
+  // Persist after a change to `glossary`, or the removal of `removedId`
+  save(glossary, removedId) {
+    if (this.shared) {
+      const shared = glossary ? this.shared.put([glossary]) : this.shared.remove([removedId]);
+      shared.catch(error => console.error('Could not share glossary change:', error.message));
+    }
+
+    // Written shortly after the change, together with any that follow it
+    if (!this.file || this.flushTimer) return;
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush();
+    }, this.flushDelay);
+    if (this.flushTimer.unref) this.flushTimer.unref();
+  }
+
+  flush() {
+    const data = JSON.stringify({ glossaries: this.list() }, null, 2);
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+
+    // Write then rename so a crash never leaves half a file behind
+    const temp = `${this.file}.tmp`;
+    fs.writeFile(temp, data, (error) => {
+      if (error) return console.warn(`Could not write glossaries to ${this.file}:`, error.message);
+      fs.rename(temp, this.file, (renameError) => {
+        if (renameError) console.warn(`Could not write glossaries to ${this.file}:`, renameError.message);
+      });
+    });
+  }
+
+  list() {
+    return Array.from(this.glossaries.values());
+  }
+
+  // owner: { keyId, token } for the caller
+  listOwned(owner) {
+    return this.list().filter(glossary => this.isOwner(glossary, owner));
+  }
+
+  isOwner(glossary, { keyId, token } = {}) {
+    if (glossary.ownerKeyId) return glossary.ownerKeyId === keyId;
+    return tokenMatchesHash(token, glossary.ownerTokenHash);
+  }
+
+  // The glossary as returned to clients
+  describe(glossary) {
+    const { ownerTokenHash, ...fields } = glossary;
+    return fields;
+  }
+
+  get(id) {
+    return this.glossaries.get(id) || null;
+  }
+
+  // Owned by the API key `keyId`, or else by `token` (a new one when missing).
+  // Returns { glossary, ownerToken } with the token only when it was generated here.
+  create(input, { keyId, token } = {}) {
+    const ownerToken = keyId || token ? null : crypto.randomBytes(24).toString('base64url');
+    const now = new Date().toISOString();
+    const glossary = {
+      id: uuidv4(),
+      name: input.name || 'Untitled glossary',
+      terms: input.terms || {},
+      doNotTranslate: input.doNotTranslate || [],
+      caseSensitive: !!input.caseSensitive,
+      ownerKeyId: keyId || null,
+      ownerTokenHash: keyId ? null : sha256(token || ownerToken),
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.glossaries.set(glossary.id, glossary);
+    this.save(glossary);
+    return { glossary, ownerToken };
+  }
+
+  update(id, input) {
+    const glossary = this.get(id);
+    if (!glossary) return null;
+
+    ['name', 'terms', 'doNotTranslate'].forEach(field => {
+      if (input[field] !== undefined) glossary[field] = input[field];
+    });
+    if (input.caseSensitive !== undefined) glossary.caseSensitive = !!input.caseSensitive;
+    glossary.updatedAt = new Date().toISOString();
+
+    this.save(glossary);
+    return glossary;
+  }
+
+  setTerm(id, sourceLang, targetLang, source, target) {
+    const glossary = this.get(id);
+    if (!glossary) return null;
+
+    const pair = `${sourceLang}-${targetLang}`;
+    glossary.terms[pair] = { ...glossary.terms[pair], [source]: target };
+    glossary.updatedAt = new Date().toISOString();
+
+    this.save(glossary);
+    return glossary;
+  }
+
+  removeTerm(id, sourceLang, targetLang, source) {
+    const glossary = this.get(id);
+    if (!glossary) return null;
+
+    const pair = `${sourceLang}-${targetLang}`;
+    if (glossary.terms[pair]) {
+      delete glossary.terms[pair][source];
+      if (Object.keys(glossary.terms[pair]).length === 0) delete glossary.terms[pair];
+    }
+    glossary.updatedAt = new Date().toISOString();
+
+    this.save(glossary);
+    return glossary;
+  }
+
+  remove(id) {
+    const deleted = this.glossaries.delete(id);
+    if (deleted) this.save(null, id);
+    return deleted;
+  }
+
+  // Look up several ids at once, ignoring unknown ones
+  resolve(ids) {
+    return (ids || []).map(id => this.get(id)).filter(Boolean);
+  }
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Token that translation providers pass through untouched
+function placeholder(index) {
+  return `__GLS${index}__`;
+}
+
+// Replace protected terms with placeholders before translation.
+// Returns the masked text and the replacements restoreTerms needs afterwards.
+function protectTerms(text, glossaries, sourceLang, targetLang) {
+  const rules = [];
+
+  glossaries.forEach(glossary => {
+    const flags = glossary.caseSensitive ? 'gu' : 'giu';
+    const mapping = (glossary.terms || {})[`${sourceLang}-${targetLang}`] || {};
+
+    Object.entries(mapping).forEach(([source, target]) => {
+      rules.push({ term: source, replacement: target, flags });
+    });
+    (glossary.doNotTranslate || []).forEach(term => {
+      rules.push({ term, replacement: null, flags });
+    });
+  });
+
+  if (rules.length === 0) return { text, spans: [] };
+
+  // Longest terms first so "Live Translation App" wins over "Live Translation"
+  rules.sort((a, b) => b.term.length - a.term.length);
+
+  const spans = [];
+  let masked = text;
+
+  rules.forEach(rule => {
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}_])${escapeRegExp(rule.term)}(?![\\p{L}\\p{N}_])`, rule.flags);
+    masked = masked.replace(pattern, (match) => {
+      const token = placeholder(spans.length);
+      // Do-not-translate terms keep the speaker's original spelling
+      spans.push({ token, original: match, replacement: rule.replacement === null ? match : rule.replacement });
+      return token;
+    });
+  });
+
+  return { text: masked, spans };
+}
+
+// Put glossary targets back where the placeholders ended up.
+// Providers sometimes add spaces or change case inside the token.
+function restoreTerms(text, spans) {
+  if (!spans.length) return text;
+
+  return text.replace(/_\s*_\s*GLS\s*(\d+)\s*_\s*_/gi, (match, index) => {
+    const span = spans[Number(index)];
+    return span ? span.replacement : match;
+  });
+}
+
+//   GLOSSARY_FILE  persist glossaries to this JSON file (memory only when unset)
+// With a shared STATE_BACKEND, glossaries are also kept in `state` for every process.
+function createGlossaryStore(env = process.env, state) {
+  const shared = env.STATE_BACKEND && env.STATE_BACKEND !== 'memory';
+  return new GlossaryStore({ file: env.GLOSSARY_FILE, state: shared ? state : null });
+}
+
+module.exports = {
+  GlossaryStore,
+  validateGlossary,
+  protectTerms,
+  restoreTerms,
+  createGlossaryStore,
+  MIN_OWNER_TOKEN_LENGTH
+};
@@ -0,0 +1,155 @@
+// Per-provider health tracking with a simple circuit breaker
+//   closed    - requests flow normally, consecutive failures are counted
+//   open      - provider is skipped until the cool-down window has passed
+//   half-open - one trial request is let through; success closes, failure re-opens
+
+const CLOSED = 'closed';
+const OPEN = 'open';
+const HALF_OPEN = 'half-open';
+
+const LATENCY_SAMPLES = 200;
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const index = Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1);
+  return sorted[Math.max(0, index)];
+}
+
+class ProviderHealth {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.failureThreshold = options.failureThreshold || 3;
+    this.cooldownMs = options.cooldownMs || 60000;
+    this.now = options.now || Date.now;
+
+    this.state = CLOSED;
+    this.consecutiveFailures = 0;
+    this.totalRequests = 0;
+    this.totalFailures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+    this.lastError = null;
+    this.lastFailureAt = null;
+    this.lastSuccessAt = null;
+    this.latencies = [];
+  }
+
+  // Whether a request may be sent to this provider right now
+  canRequest() {
+    if (this.state === CLOSED) return true;
+
+    if (this.state === OPEN && this.now() - this.openedAt >= this.cooldownMs) {
+      this.state = HALF_OPEN;
+      this.trialInFlight = false;
+    }
+
+    if (this.state === HALF_OPEN && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+
+    return false;
+  }
+
+  recordSuccess(latency) {
+    this.totalRequests++;
+    this.consecutiveFailures = 0;
+    this.lastSuccessAt = this.now();
+    this.state = CLOSED;
+    this.openedAt = null;
+    this.trialInFlight = false;
+    this.recordLatency(latency);
+  }
+
+  recordFailure(error, latency) {
+    this.totalRequests++;
+    this.totalFailures++;
+    this.consecutiveFailures++;
+    this.lastFailureAt = this.now();
+    this.lastError = error ? error.message : null;
+    this.trialInFlight = false;
+    if (latency !== undefined) this.recordLatency(latency);
+
+    if (this.state === HALF_OPEN || this.consecutiveFailures >= this.failureThreshold) {
+      this.state = OPEN;
+      this.openedAt = this.now();
+    }
+  }
+
+  recordLatency(latency) {
+    this.latencies.push(latency);
+    if (this.latencies.length > LATENCY_SAMPLES) {
+      this.latencies.shift();
+    }
+  }
+
+  snapshot() {
+    const sorted = [...this.latencies].sort((a, b) => a - b);
+
+    return {
+      name: this.name,
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      totalRequests: this.totalRequests,
+      totalFailures: this.totalFailures,
+      lastError: this.lastError,
+      lastFailureAt: this.lastFailureAt ? new Date(this.lastFailureAt).toISOString() : null,
+      lastSuccessAt: this.lastSuccessAt ? new Date(this.lastSuccessAt).toISOString() : null,
+      retryAt: this.state === OPEN ? new Date(this.openedAt + this.cooldownMs).toISOString() : null,
+      latency: {
+        samples: sorted.length,
+        p50: percentile(sorted, 50),
+        p90: percentile(sorted, 90),
+        p99: percentile(sorted, 99)
+      }
+    };
+  }
+}
+
+class HealthTracker {
+  constructor(options = {}) {
+    this.options = options;
+    this.providers = new Map();
+  }
+
+  get(name) {
+    if (!this.providers.has(name)) {
+      this.providers.set(name, new ProviderHealth(name, this.options));
+    }
+    return this.providers.get(name);
+  }
+
+  canRequest(name) {
+    return this.get(name).canRequest();
+  }
+
+  recordSuccess(name, latency) {
+    this.get(name).recordSuccess(latency);
+  }
+
+  recordFailure(name, error, latency) {
+    this.get(name).recordFailure(error, latency);
+  }
+
+  snapshot(names) {
+    return (names || Array.from(this.providers.keys())).map(name => this.get(name).snapshot());
+  }
+}
+
+//   CIRCUIT_FAILURE_THRESHOLD  consecutive failures before a circuit opens (3)
+//   CIRCUIT_COOLDOWN_MS        how long an open circuit skips the provider (60000)
+function createHealthTracker(env = process.env) {
+  return new HealthTracker({
+    failureThreshold: Number(env.CIRCUIT_FAILURE_THRESHOLD) || 3,
+    cooldownMs: Number(env.CIRCUIT_COOLDOWN_MS) || 60000
+  });
+}
+
+module.exports = {
+  CLOSED,
+  OPEN,
+  HALF_OPEN,
+  ProviderHealth,
+  HealthTracker,
+  createHealthTracker
+};
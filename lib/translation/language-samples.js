@@ -0,0 +1,75 @@
+// Training text for the Latin-script n-gram profiles used by detector.js.
+// Everyday conversational sentences, since that is what the app mostly sees.
+// Languages with their own script are recognised by Unicode range instead.
+
+module.exports = {
+  en: `Hello, how are you today? I am fine, thank you, and you? Where is the train station, please?
+    Could you help me with this? I would like to order a coffee and a piece of cake. What time does the meeting
+    start tomorrow morning? We have been waiting for the bus for almost half an hour. The weather is really nice
+    this week, so we should go for a walk in the park. Thank you very much for your help, I really appreciate it.
+    Can you repeat that more slowly? I think there is something wrong with the connection. Please send me the
+    report before the end of the day. They will arrive at the airport in the evening with their children.
+    It was the best day of my life, and I will never forget it. What do you want to eat for dinner tonight?
+    The people who live next door are very friendly and they always say hello. I need to buy some bread, milk
+    and eggs from the shop. This is the first time that I have visited this beautiful city.`,
+
+  es: `Hola, ¿cómo estás hoy? Estoy bien, gracias, ¿y tú? ¿Dónde está la estación de tren, por favor?
+    ¿Me puedes ayudar con esto? Quisiera pedir un café y un trozo de pastel. ¿A qué hora empieza la reunión
+    mañana por la mañana? Llevamos casi media hora esperando el autobús. El tiempo está muy bonito esta semana,
+    así que deberíamos dar un paseo por el parque. Muchas gracias por tu ayuda, de verdad lo aprecio.
+    ¿Puedes repetirlo más despacio? Creo que hay algún problema con la conexión. Por favor, envíame el informe
+    antes del final del día. Ellos llegarán al aeropuerto por la noche con sus hijos. Fue el mejor día de mi
+    vida y nunca lo olvidaré. ¿Qué quieres cenar esta noche? La gente que vive al lado es muy amable y siempre
+    nos saluda. Necesito comprar pan, leche y huevos en la tienda. Es la primera vez que visito esta ciudad tan
+    bonita. Señor, los niños están en la escuela y mañana tenemos que trabajar.`,
+
+  fr: `Bonjour, comment allez-vous aujourd'hui ? Je vais bien, merci, et vous ? Où est la gare, s'il vous plaît ?
+    Pouvez-vous m'aider avec ceci ? Je voudrais commander un café et une part de gâteau. À quelle heure commence
+    la réunion demain matin ? Nous attendons le bus depuis presque une demi-heure. Il fait vraiment beau cette
+    semaine, alors nous devrions faire une promenade dans le parc. Merci beaucoup pour votre aide, je l'apprécie
+    vraiment. Pouvez-vous répéter plus lentement ? Je pense qu'il y a un problème avec la connexion. Envoyez-moi
+    le rapport avant la fin de la journée, s'il vous plaît. Ils arriveront à l'aéroport ce soir avec leurs
+    enfants. C'était le plus beau jour de ma vie et je ne l'oublierai jamais. Qu'est-ce que tu veux manger ce
+    soir ? Les gens qui habitent à côté sont très gentils et ils nous disent toujours bonjour. J'ai besoin
+    d'acheter du pain, du lait et des œufs au magasin. C'est la première fois que je visite cette belle ville.`,
+
+  de: `Hallo, wie geht es dir heute? Mir geht es gut, danke, und dir? Wo ist der Bahnhof, bitte?
+    Kannst du mir dabei helfen? Ich möchte einen Kaffee und ein Stück Kuchen bestellen. Um wie viel Uhr beginnt
+    die Besprechung morgen früh? Wir warten schon fast eine halbe Stunde auf den Bus. Das Wetter ist diese Woche
+    wirklich schön, deshalb sollten wir im Park spazieren gehen. Vielen Dank für deine Hilfe, ich weiß das sehr
+    zu schätzen. Kannst du das bitte langsamer wiederholen? Ich glaube, mit der Verbindung stimmt etwas nicht.
+    Bitte schick mir den Bericht vor dem Ende des Tages. Sie werden am Abend mit ihren Kindern am Flughafen
+    ankommen. Es war der schönste Tag meines Lebens und ich werde ihn nie vergessen. Was möchtest du heute Abend
+    essen? Die Leute, die nebenan wohnen, sind sehr freundlich und grüßen uns immer. Ich muss noch Brot, Milch
+    und Eier im Geschäft kaufen. Das ist das erste Mal, dass ich diese schöne Stadt besuche. Natürlich nicht.`,
+
+  it: `Ciao, come stai oggi? Sto bene, grazie, e tu? Dov'è la stazione dei treni, per favore?
+    Mi puoi aiutare con questo? Vorrei ordinare un caffè e una fetta di torta. A che ora inizia la riunione
+    domani mattina? Aspettiamo l'autobus da quasi mezz'ora. Il tempo è davvero bello questa settimana, quindi
+    dovremmo fare una passeggiata nel parco. Grazie mille per il tuo aiuto, lo apprezzo davvero. Puoi ripeterlo
+    più lentamente? Penso che ci sia qualcosa che non va con la connessione. Per favore mandami il rapporto
+    prima della fine della giornata. Arriveranno all'aeroporto stasera con i loro figli. È stato il giorno più
+    bello della mia vita e non lo dimenticherò mai. Cosa vuoi mangiare per cena stasera? Le persone che abitano
+    accanto sono molto gentili e ci salutano sempre. Devo comprare del pane, del latte e delle uova al negozio.
+    È la prima volta che visito questa bellissima città. Gli amici sono già qui e vogliono parlare con noi.`,
+
+  pt: `Olá, como você está hoje? Estou bem, obrigado, e você? Onde fica a estação de trem, por favor?
+    Você pode me ajudar com isso? Eu gostaria de pedir um café e um pedaço de bolo. A que horas começa a reunião
+    amanhã de manhã? Estamos esperando o ônibus há quase meia hora. O tempo está muito bonito esta semana, então
+    deveríamos dar um passeio no parque. Muito obrigado pela sua ajuda, eu realmente agradeço. Você pode repetir
+    mais devagar? Acho que há algum problema com a conexão. Por favor, me envie o relatório antes do fim do dia.
+    Eles vão chegar ao aeroporto à noite com os filhos. Foi o melhor dia da minha vida e eu nunca vou esquecer.
+    O que você quer comer no jantar hoje? As pessoas que moram ao lado são muito simpáticas e sempre nos
+    cumprimentam. Preciso comprar pão, leite e ovos na loja. É a primeira vez que eu visito esta cidade tão
+    bonita. Não sei se eles também vão, mas a informação já está com o senhor.`,
+
+  nl: `Hallo, hoe gaat het vandaag met je? Het gaat goed, dank je, en met jou? Waar is het treinstation, alsjeblieft?
+    Kun je me hiermee helpen? Ik wil graag een kopje koffie en een stuk taart bestellen. Hoe laat begint de
+    vergadering morgenochtend? We wachten al bijna een half uur op de bus. Het weer is deze week echt mooi, dus
+    we zouden een wandeling in het park moeten maken. Heel erg bedankt voor je hulp, ik waardeer het echt.
+    Kun je dat langzamer herhalen? Ik denk dat er iets mis is met de verbinding. Stuur me alsjeblieft het verslag
+    voor het einde van de dag. Ze komen vanavond met hun kinderen aan op het vliegveld. Het was de mooiste dag
+    van mijn leven en ik zal het nooit vergeten. Wat wil je vanavond eten? De mensen die naast ons wonen zijn heel
+    vriendelijk en zeggen altijd gedag. Ik moet nog brood, melk en eieren kopen in de winkel. Dit is de eerste
+    keer dat ik deze mooie stad bezoek. Wij hebben geen tijd, maar zij willen het niet weten.`
+};
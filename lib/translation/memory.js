@@ -0,0 +1,462 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { normalizeText } = require('./cache');
+const { SharedCollection } = require('../state/replica');
+const { isAdminToken } = require('../auth/tokens');
+
+// Approved source/target segment pairs, looked up exactly or fuzzily
+// before any provider is asked. Segments from anyone but the admin are suggestions:
+// kept aside (up to `pendingLimit`, oldest dropped first) and never used until approved.
+
+function comparable(text) {
+  return normalizeText(text).toLowerCase();
+}
+
+// Levenshtein distance with two rolling rows
+function editDistance(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  let current = new Array(b.length + 1);
+
+  for (let i = 1; i <= a.length; i++) {
+    current[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    [previous, current] = [current, previous];
+  }
+
+  return previous[b.length];
+}
+
+// Similarity as a 0-100 match percentage
+function matchScore(a, b) {
+  const longest = Math.max(a.length, b.length);
+  if (longest === 0) return 100;
+  return Math.round((1 - editDistance(a, b) / longest) * 100);
+}
+
+class TranslationMemory {
+  constructor(options = {}) {
+    this.segments = new Map();
+    this.byPair = new Map();
+    this.byLength = new Map(); // pair -> source length -> comparable sources, for fuzzy lookups
+    this.pending = new Map();
+    this.pendingLimit = options.pendingLimit || 1000;
+    // Fuzzy lookups compare at most this many segments, nearest lengths first,
+    // and are skipped for texts longer than maxFuzzyLength
+    this.maxCandidates = options.maxCandidates || 2000;
+    this.maxFuzzyLength = options.maxFuzzyLength || 500;
+    this.adminToken = options.adminToken || null;
+    this.file = options.file ? path.resolve(options.file) : null;
+    this.flushDelay = options.flushDelay || 1000;
+    this.flushTimer = null;
+    this.load();
+
+    // With a shared state store, segments approved on any process are reused on all of them.
+    // Usage counts stay per process.
+    this.shared = options.state ? new SharedCollection(options.state, 'translation-memory', {
+      put: segment => {
+        const existing = this.get(segment.id);
+        if (existing) this.unindex(existing);
+        this.index(segment);
+      },
+      remove: id => {
+        const existing = this.get(id);
+        if (existing) this.unindex(existing);
+      }
+    }) : null;
+    this.sharedPending = options.state ? new SharedCollection(options.state, 'translation-memory-pending', {
+      put: suggestion => this.pending.set(suggestion.id, suggestion),
+      remove: id => this.pending.delete(id)
+    }) : null;
+    if (this.shared) {
+      this.shared.load().catch(error => console.error('Could not load the shared translation memory:', error.message));
+      this.sharedPending.load().catch(error => console.error('Could not load shared memory suggestions:', error.message));
+    }
+  }
+
+  isAdmin(token) {
+    return isAdminToken(token, this.adminToken);
+  }
+
+  load() {
+    if (!this.file) return;
+    try {
+      const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      (data.segments || []).forEach(segment => this.index(segment));
+      (data.pending || []).forEach(suggestion => this.pending.set(suggestion.id, suggestion));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`Could not load translation memory from ${this.file}:`, error.message);
+      }
+    }
+  }
+
+  // Persist after `changed` segments (or suggestions, in `collection`) were added or
+  // updated, or `removedIds` removed
+  save(changed = [], removedIds = [], collection = this.shared) {
+    if (collection && (changed.length || removedIds.length)) {
+      Promise.all([
+        changed.length && collection.put(changed),
+        removedIds.length && collection.remove(removedIds)
+      ]).catch(error => console.error('Could not share translation memory change:', error.message));
+    }
+
+    // Written shortly after the change, together with any that follow it
+    if (!this.file || this.flushTimer) return;
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush();
+    }, this.flushDelay);
+    if (this.flushTimer.unref) this.flushTimer.unref();
+  }
+
+  flush() {
+    const data = JSON.stringify({
+      segments: Array.from(this.segments.values()),
+      pending: Array.from(this.pending.values())
+    });
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+
+    // Write then rename so a crash never leaves half a file behind
+    const temp = `${this.file}.tmp`;
+    fs.writeFile(temp, data, (error) => {
+      if (error) return console.warn(`Could not write translation memory to ${this.file}:`, error.message);
+      fs.rename(temp, this.file, (renameError) => {
+        if (renameError) console.warn(`Could not write translation memory to ${this.file}:`, renameError.message);
+      });
+    });
+  }
+
+  pairKey(sourceLang, targetLang) {
+    return `${sourceLang}|${targetLang}`;
+  }
+
+  index(segment) {
+    this.segments.set(segment.id, segment);
+
+    const pair = this.pairKey(segment.sourceLang, segment.targetLang);
+    const key = comparable(segment.source);
+    if (!this.byPair.has(pair)) this.byPair.set(pair, new Map());
+    this.byPair.get(pair).set(key, segment);
+
+    if (!this.byLength.has(pair)) this.byLength.set(pair, new Map());
+    const lengths = this.byLength.get(pair);
+    if (!lengths.has(key.length)) lengths.set(key.length, new Set());
+    lengths.get(key.length).add(key);
+  }
+
+  unindex(segment) {
+    this.segments.delete(segment.id);
+    const pair = this.pairKey(segment.sourceLang, segment.targetLang);
+    const key = comparable(segment.source);
+    const bucket = this.byPair.get(pair);
+    if (bucket) bucket.delete(key);
+
+    const keys = this.byLength.has(pair) && this.byLength.get(pair).get(key.length);
+    if (keys) keys.delete(key);
+  }
+
+  // Insert or update the segment for this source text and pair
+  add({ source, target, sourceLang, targetLang, origin = 'user', author }, options = {}) {
+    const now = new Date().toISOString();
+    const bucket = this.byPair.get(this.pairKey(sourceLang, targetLang));
+    const existing = bucket && bucket.get(comparable(source));
+
+    let segment;
+    if (existing) {
+      existing.target = target;
+      existing.origin = origin;
+      existing.updatedAt = now;
+      if (author) existing.author = author;
+      segment = existing;
+    } else {
+      segment = {
+        id: uuidv4(),
+        source: normalizeText(source),
+        target,
+        sourceLang,
+        targetLang,
+        origin,
+        author,
+        usageCount: 0,
+        createdAt: now,
+        updatedAt: now
+      };
+      this.index(segment);
+    }
+
+    if (options.save !== false) this.save([segment]);
+    return segment;
+  }
+
+  addMany(entries, origin) {
+    const added = entries.map(entry => this.add({ ...entry, origin: entry.origin || origin }, { save: false }));
+    this.save(added);
+    return added;
+  }
+
+  get(id) {
+    return this.segments.get(id) || null;
+  }
+
+  // Removes a segment or a pending suggestion
+  remove(id) {
+    if (this.pending.delete(id)) {
+      this.save([], [id], this.sharedPending);
+      return true;
+    }
+
+    const segment = this.get(id);
+    if (!segment) return false;
+    this.unindex(segment);
+    this.save([], [id]);
+    return true;
+  }
+
+  // Keep segments aside until the admin approves them
+  suggest(entries, origin) {
+    const now = new Date().toISOString();
+    const suggestions = entries.map(({ source, target, sourceLang, targetLang, author }) => ({
+      id: uuidv4(),
+      source: normalizeText(source),
+      target,
+      sourceLang,
+      targetLang,
+      origin,
+      author,
+      status: 'pending',
+      createdAt: now
+    }));
+    suggestions.forEach(suggestion => this.pending.set(suggestion.id, suggestion));
+
+    const dropped = [];
+    for (const id of this.pending.keys()) {
+      if (this.pending.size <= this.pendingLimit) break;
+      this.pending.delete(id);
+      dropped.push(id);
+    }
+
+    this.save(suggestions.filter(suggestion => this.pending.has(suggestion.id)), dropped, this.sharedPending);
+    return suggestions;
+  }
+
+  listPending({ limit = 100, offset = 0 } = {}) {
+    const suggestions = Array.from(this.pending.values());
+    return { total: suggestions.length, segments: suggestions.slice(offset, offset + limit) };
+  }
+
+  // Turn a suggestion into an approved segment; null when there is no such suggestion
+  approve(id) {
+    const suggestion = this.pending.get(id);
+    if (!suggestion) return null;
+
+    this.pending.delete(id);
+    this.save([], [id], this.sharedPending);
+    return this.add(suggestion);
+  }
+
+  list({ sourceLang, targetLang, q, limit = 100, offset = 0 } = {}) {
+    const query = q ? comparable(q) : null;
+    const matches = Array.from(this.segments.values()).filter(segment =>
+      (!sourceLang || segment.sourceLang === sourceLang) &&
+      (!targetLang || segment.targetLang === targetLang) &&
+      (!query || comparable(segment.source).includes(query) || comparable(segment.target).includes(query))
+    );
+
+    return { total: matches.length, segments: matches.slice(offset, offset + limit) };
+  }
+
+  // Best matches for `text`, highest percentage first. `fuzzy: false` only looks for an
+  // exact match.
+  lookup(text, sourceLang, targetLang, { minScore = 70, limit = 3, fuzzy = true } = {}) {
+    const pair = this.pairKey(sourceLang, targetLang);
+    const bucket = this.byPair.get(pair);
+    if (!bucket) return [];
+
+    const wanted = comparable(text);
+    const exact = bucket.get(wanted);
+    if (exact) {
+      return [{ score: 100, exact: true, segment: exact }];
+    }
+    if (!fuzzy || wanted.length > this.maxFuzzyLength) return [];
+
+    // The edit distance is at least the length difference, so only sources whose length is
+    // within reach of minScore can match; try the nearest lengths first
+    const lengths = this.byLength.get(pair);
+    const score = Math.max(1, minScore) / 100;
+    const shortest = Math.ceil(wanted.length * score);
+    const longest = Math.floor(wanted.length / score);
+    const matches = [];
+    let examined = 0;
+
+    for (let offset = 0; examined < this.maxCandidates; offset++) {
+      const candidates = [wanted.length - offset, wanted.length + offset]
+        .filter((length, index) => length >= shortest && length <= longest && (offset || !index));
+      if (!candidates.length) break;
+
+      for (const length of candidates) {
+        for (const key of lengths.get(length) || []) {
+          if (examined++ >= this.maxCandidates) break;
+          const keyScore = matchScore(wanted, key);
+          if (keyScore >= minScore) {
+            matches.push({ score: keyScore, exact: false, segment: bucket.get(key) });
+          }
+        }
+      }
+    }
+
+    return matches.sort((a, b) => b.score - a.score).slice(0, limit);
+  }
+
+  markUsed(segment) {
+    segment.usageCount = (segment.usageCount || 0) + 1;
+    segment.lastUsedAt = new Date().toISOString();
+  }
+
+  // Items saved by the client's saveToHistory, added as approved or kept as suggestions
+  importHistory(items, { approved = true } = {}) {
+    const entries = (items || [])
+      .filter(item => item && item.originalText && item.translatedText && item.sourceLanguage && item.targetLanguage)
+      .filter(item => item.sourceLanguage !== 'auto' && item.originalText !== item.translatedText)
+      .map(item => ({
+        source: item.originalText,
+        target: item.translatedText,
+        sourceLang: item.sourceLanguage,
+        targetLang: item.targetLanguage
+      }));
+
+    return approved ? this.addMany(entries, 'history') : this.suggest(entries, 'history');
+  }
+
+  importTmx(xml) {
+    return this.addMany(parseTmx(xml), 'tmx');
+  }
+
+  exportTmx(filter = {}) {
+    return toTmx(this.list({ ...filter, limit: Infinity }).segments, filter.sourceLang);
+  }
+
+  stats() {
+    return {
+      segments: this.segments.size,
+      pairs: Array.from(this.byPair.entries()).map(([pair, bucket]) => ({ pair, segments: bucket.size }))
+    };
+  }
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function unescapeXml(value) {
+  return value
+    .replace(/<[^>]+>/g, '') // inline markup such as <ph> or <bpt>
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&amp;/g, '&');
+}
+
+// Primary subtag only: the app works with "en", not "en-US"
+function tmxLanguage(value) {
+  return value.split(/[-_]/)[0].toLowerCase();
+}
+
+// Read <tu>/<tuv>/<seg> units from a TMX 1.4 document.
+// Every pair of variants in a unit becomes a segment, using srclang as source when present.
+function parseTmx(xml) {
+  if (typeof xml !== 'string' || !/<tmx[\s>]/.test(xml)) {
+    throw new Error('Not a TMX document');
+  }
+
+  const header = xml.match(/<header\b([^>]*)>/);
+  const headerSource = header && (header[1].match(/srclang="([^"]+)"/) || [])[1];
+  const entries = [];
+
+  for (const unit of xml.matchAll(/<tu\b([^>]*)>([\s\S]*?)<\/tu>/g)) {
+    const unitSource = (unit[1].match(/srclang="([^"]+)"/) || [])[1] || headerSource;
+    const variants = [];
+
+    for (const variant of unit[2].matchAll(/<tuv\b([^>]*)>[\s\S]*?<seg>([\s\S]*?)<\/seg>[\s\S]*?<\/tuv>/g)) {
+      const lang = (variant[1].match(/(?:xml:)?lang="([^"]+)"/) || [])[1];
+      if (lang) variants.push({ lang: tmxLanguage(lang), text: unescapeXml(variant[2]).trim() });
+    }
+
+    const sources = unitSource && unitSource !== '*all*'
+      ? variants.filter(variant => variant.lang === tmxLanguage(unitSource))
+      : variants;
+
+    sources.forEach(source => {
+      variants
+        .filter(target => target !== source && target.lang !== source.lang && source.text && target.text)
+        .forEach(target => entries.push({
+          source: source.text,
+          target: target.text,
+          sourceLang: source.lang,
+          targetLang: target.lang
+        }));
+    });
+  }
+
+  return entries;
+}
+
+function toTmx(segments, sourceLang) {
+  const units = segments.map(segment => `    <tu tuid="${segment.id}" srclang="${escapeXml(segment.sourceLang)}" creationdate="${tmxDate(segment.createdAt)}" changedate="${tmxDate(segment.updatedAt)}">
+      <prop type="x-origin">${escapeXml(segment.origin || 'user')}</prop>
+      <tuv xml:lang="${escapeXml(segment.sourceLang)}"><seg>${escapeXml(segment.source)}</seg></tuv>
+      <tuv xml:lang="${escapeXml(segment.targetLang)}"><seg>${escapeXml(segment.target)}</seg></tuv>
+    </tu>`);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<tmx version="1.4">
+  <header creationtool="live-translation-app" creationtoolversion="1.0.0" segtype="sentence" o-tmf="live-translation" adminlang="en" srclang="${escapeXml(sourceLang || '*all*')}" datatype="plaintext"/>
+  <body>
+${units.join('\n')}
+  </body>
+</tmx>
+`;
+}
+
+// TMX dates are YYYYMMDDThhmmssZ
+function tmxDate(iso) {
+  return new Date(iso || Date.now()).toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+}
+
+//   TM_FILE            persist the translation memory to this JSON file (memory only when unset)
+//   TM_ADMIN_TOKEN     bearer token for adding, approving and removing segments (none: suggestions only)
+//   TM_PENDING_LIMIT   suggestions kept for approval (1000)
+//   TM_MAX_CANDIDATES  segments compared per fuzzy lookup (2000)
+// With a shared STATE_BACKEND, segments are also kept in `state` for every process.
+function createTranslationMemory(env = process.env, state) {
+  const shared = env.STATE_BACKEND && env.STATE_BACKEND !== 'memory';
+  return new TranslationMemory({
+    file: env.TM_FILE,
+    state: shared ? state : null,
+    adminToken: env.TM_ADMIN_TOKEN,
+    pendingLimit: Number(env.TM_PENDING_LIMIT) || undefined,
+    maxCandidates: Number(env.TM_MAX_CANDIDATES) || undefined
+  });
+}
+
+module.exports = {
+  TranslationMemory,
+  matchScore,
+  parseTmx,
+  toTmx,
+  createTranslationMemory
+};
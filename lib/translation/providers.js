@@ -0,0 +1,299 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+const DEFAULT_TIMEOUT = 10000;
+
+// Error raised by a single provider, keeping the upstream reason visible
+class ProviderError extends Error {
+  constructor(provider, message, { status, cause } = {}) {
+    super(`${provider}: ${message}`);
+    this.name = 'ProviderError';
+    this.provider = provider;
+    this.status = status;
+    this.cause = cause;
+  }
+}
+
+// Turn an axios failure into a readable provider error
+function toProviderError(provider, error) {
+  if (error instanceof ProviderError) return error;
+
+  if (error.code === 'ECONNABORTED') {
+    return new ProviderError(provider.name, `timed out after ${provider.timeout}ms`, { cause: error });
+  }
+
+  if (error.response) {
+    const detail = error.response.data && (error.response.data.error || error.response.data.message);
+    return new ProviderError(
+      provider.name,
+      `HTTP ${error.response.status}${detail ? ` - ${detail}` : ''}`,
+      { status: error.response.status, cause: error }
+    );
+  }
+
+  return new ProviderError(provider.name, error.message, { cause: error });
+}
+
+// Adapters know how to talk to one kind of backend
+const adapters = {
+  // LibreTranslate (public instance or self-hosted)
+  libretranslate: {
+    supportsAuto: true,
+    async translate(provider, text, sourceLang, targetLang) {
+      const response = await axios.post(`${provider.url}/translate`, {
+        q: text,
+        source: sourceLang,
+        target: targetLang,
+        format: 'text',
+        ...(provider.apiKey ? { api_key: provider.apiKey } : {})
+      }, {
+        headers: { 'Content-Type': 'application/json', ...provider.headers },
+        timeout: provider.timeout
+      });
+
+      return response.data.translatedText;
+    }
+  },
+
+  // MyMemory (Free translation API)
+  mymemory: {
+    supportsAuto: false,
+    async translate(provider, text, sourceLang, targetLang) {
+      const response = await axios.get(`${provider.url}/get`, {
+        params: {
+          q: text,
+          langpair: `${sourceLang}|${targetLang}`,
+          ...(provider.email ? { de: provider.email } : {}),
+          ...(provider.apiKey ? { key: provider.apiKey } : {})
+        },
+        headers: provider.headers,
+        timeout: provider.timeout
+      });
+
+      if (response.data.responseStatus !== 200) {
+        throw new ProviderError(provider.name, response.data.responseDetails || `status ${response.data.responseStatus}`, {
+          status: response.data.responseStatus
+        });
+      }
+
+      return response.data.responseData.translatedText;
+    }
+  },
+
+  // Lingva Translate (Free Google Translate proxy)
+  lingva: {
+    supportsAuto: true,
+    async translate(provider, text, sourceLang, targetLang) {
+      const response = await axios.get(
+        `${provider.url}/api/v1/${sourceLang}/${targetLang}/${encodeURIComponent(text)}`,
+        { headers: provider.headers, timeout: provider.timeout }
+      );
+
+      return response.data.translation;
+    }
+  },
+
+  // Generic JSON backend: POST { text, source, target } and read `responseField`
+  http: {
+    supportsAuto: true,
+    async translate(provider, text, sourceLang, targetLang) {
+      const response = await axios.post(provider.url, {
+        text,
+        source: sourceLang,
+        target: targetLang
+      }, {
+        headers: {
+          'Content-Type': 'application/json',
+          ...(provider.apiKey ? { Authorization: `Bearer ${provider.apiKey}` } : {}),
+          ...provider.headers
+        },
+        timeout: provider.timeout
+      });
+
+      return (provider.responseField || 'translatedText')
+        .split('.')
+        .reduce((value, key) => (value == null ? value : value[key]), response.data);
+    }
+  },
+
+  // Local stand-in for development and tests, never leaves the process
+  echo: {
+    supportsAuto: true,
+    async translate(provider, text, sourceLang, targetLang) {
+      const prefix = provider.prefix !== undefined ? provider.prefix : '[{target}] ';
+      return `${prefix.replace('{source}', sourceLang).replace('{target}', targetLang)}${text}`;
+    }
+  }
+};
+
+const DEFAULT_PROVIDERS = [
+  { name: 'libretranslate', type: 'libretranslate', url: 'https://libretranslate.de', priority: 10 },
+  { name: 'mymemory', type: 'mymemory', url: 'https://api.mymemory.translated.net', priority: 20 },
+  { name: 'lingva', type: 'lingva', url: 'https://lingva.ml', priority: 30 }
+];
+
+// Check a provider's declared languages/pairs against a request
+// `languages: ['en', 'es']` or `pairs: ['en>es', '*>fr', 'zh-CN>en']`; neither means any pair.
+// A pair is split on `>` only, since language codes themselves contain `-`
+function supportsPair(provider, sourceLang, targetLang) {
+  const source = sourceLang || 'auto';
+
+  if (source === 'auto' && !provider.supportsAuto) return false;
+
+  if (provider.languages) {
+    const sourceOk = source === 'auto' || provider.languages.includes(source);
+    if (!sourceOk || !provider.languages.includes(targetLang)) return false;
+  }
+
+  if (provider.pairs) {
+    return provider.pairs.some(pair => {
+      const separator = pair.indexOf('>');
+      if (separator === -1) return false;
+      const from = pair.slice(0, separator);
+      const to = pair.slice(separator + 1);
+      return (from === '*' || from === source) && (to === '*' || to === targetLang);
+    });
+  }
+
+  return true;
+}
+
+class ProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+  }
+
+  register(definition) {
+    if (!definition || !definition.name) {
+      throw new Error('Translation provider needs a name');
+    }
+
+    const type = definition.type || definition.name;
+    const adapter = adapters[type];
+    if (!adapter) {
+      throw new Error(`Unknown translation provider type "${type}" for ${definition.name}`);
+    }
+    if (type !== 'echo' && !definition.url) {
+      throw new Error(`Translation provider ${definition.name} needs a url`);
+    }
+    const badPair = (definition.pairs || []).find(pair => typeof pair !== 'string' || !pair.includes('>'));
+    if (badPair !== undefined) {
+      throw new Error(`Translation provider ${definition.name} has pair "${badPair}"; write pairs as "source>target"`);
+    }
+
+    const provider = {
+      supportsAuto: adapter.supportsAuto,
+      ...definition,
+      type,
+      url: definition.url ? definition.url.replace(/\/+$/, '') : undefined,
+      apiKey: definition.apiKey || (definition.apiKeyEnv ? process.env[definition.apiKeyEnv] : undefined),
+      headers: definition.headers || {},
+      timeout: Number(definition.timeout) || DEFAULT_TIMEOUT,
+      priority: Number.isFinite(Number(definition.priority)) ? Number(definition.priority) : 100,
+      enabled: definition.enabled !== false
+    };
+
+    this.providers.set(provider.name, provider);
+    return provider;
+  }
+
+  unregister(name) {
+    return this.providers.delete(name);
+  }
+
+  get(name) {
+    return this.providers.get(name);
+  }
+
+  // Enabled providers, lowest priority number first
+  list() {
+    return Array.from(this.providers.values())
+      .filter(provider => provider.enabled)
+      .sort((a, b) => a.priority - b.priority);
+  }
+
+  candidates(sourceLang, targetLang) {
+    return this.list().filter(provider => supportsPair(provider, sourceLang, targetLang));
+  }
+
+  async translate(provider, text, sourceLang, targetLang) {
+    try {
+      const result = await adapters[provider.type].translate(provider, text, sourceLang || 'auto', targetLang);
+      if (!result) {
+        throw new ProviderError(provider.name, 'empty response');
+      }
+      return result;
+    } catch (error) {
+      throw toProviderError(provider, error);
+    }
+  }
+
+  // Public view without credentials
+  describe() {
+    return this.list().map(({ name, type, url, priority, timeout, languages, pairs }) => ({
+      name, type, url, priority, timeout, languages, pairs
+    }));
+  }
+}
+
+// Build provider definitions from a config file and/or environment
+//   TRANSLATION_PROVIDERS_FILE  JSON file: an array or { providers: [...] }
+//   TRANSLATION_PROVIDERS       comma-separated names; sets both selection and order
+//   TRANSLATION_TIMEOUT         default per-provider timeout in ms
+//   LIBRETRANSLATE_URL / LIBRETRANSLATE_API_KEY, MYMEMORY_EMAIL / MYMEMORY_API_KEY, LINGVA_URL
+function loadProviderConfig(env = process.env) {
+  let definitions = DEFAULT_PROVIDERS.map(provider => ({ ...provider }));
+
+  if (env.TRANSLATION_PROVIDERS_FILE) {
+    const file = path.resolve(env.TRANSLATION_PROVIDERS_FILE);
+    const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+    definitions = Array.isArray(parsed) ? parsed : parsed.providers || [];
+  } else {
+    const overrides = {
+      libretranslate: { url: env.LIBRETRANSLATE_URL, apiKey: env.LIBRETRANSLATE_API_KEY },
+      mymemory: { email: env.MYMEMORY_EMAIL, apiKey: env.MYMEMORY_API_KEY },
+      lingva: { url: env.LINGVA_URL }
+    };
+
+    definitions.forEach(definition => {
+      Object.entries(overrides[definition.name] || {}).forEach(([key, value]) => {
+        if (value) definition[key] = value;
+      });
+    });
+  }
+
+  if (env.TRANSLATION_TIMEOUT) {
+    definitions.forEach(definition => {
+      if (!definition.timeout) definition.timeout = Number(env.TRANSLATION_TIMEOUT);
+    });
+  }
+
+  if (env.TRANSLATION_PROVIDERS) {
+    const order = env.TRANSLATION_PROVIDERS.split(',').map(name => name.trim()).filter(Boolean);
+    const byName = new Map(definitions.map(definition => [definition.name, definition]));
+
+    definitions = order.map((name, index) => {
+      // Built-in types can be named directly without a config file entry
+      const definition = byName.get(name) || { name, type: name };
+      return { ...definition, priority: index + 1 };
+    });
+  }
+
+  return definitions;
+}
+
+function createProviderRegistry(env = process.env) {
+  const registry = new ProviderRegistry();
+  loadProviderConfig(env).forEach(definition => registry.register(definition));
+  return registry;
+}
+
+module.exports = {
+  ProviderError,
+  ProviderRegistry,
+  adapters,
+  supportsPair,
+  loadProviderConfig,
+  createProviderRegistry
+};
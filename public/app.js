@@ -1,7 +1,8 @@
 // Live Translation App - Main JavaScript
 class LiveTranslationApp {
     constructor() {
-        this.socket = io();
+        // Socket.IO or SSE + POST, whichever the deployment supports (see realtime.js)
+        this.socket = new RealtimeClient();
         this.recognition = null;
         this.synthesis = window.speechSynthesis;
         this.voiceEngine = null;
@@ -10,17 +11,34 @@ class LiveTranslationApp {
         this.currentTranslation = '';
         this.conversationHistory = [];
         this.currentRoom = null;
+        this.sessionToken = null;
+        this.lastMessageId = null;
+        this.roomUsers = [];
+        this.roomSettings = { hostId: null, locked: false, maxParticipants: null, protected: false, mode: 'conversation', speakerIds: [] };
+        this.listenOnly = false;
+        this.floor = { enabled: false, holderId: null, holderName: null, queue: [] };
+        this.wantsFloor = false;
+        this.inviteToken = null;
+        this.roomPassword = null;
+        this.hostToken = null; // for the room we created (hostTokenRoom), kept to rejoin it and export as host
+        this.hostTokenRoom = null;
+        this.lastRoom = null; // kept after leaving, for exporting its transcript
         this.userName = '';
         this.userLanguage = 'en';
         this.ambientListening = false;
         this.outputMode = 'both'; // 'both', 'text', 'audio'
         this.lastTranslation = null;
+        this.speechSegment = null;
+        this.segmentCounter = 0;
+        this.interimTimer = null;
+        this.interimThrottleMs = 400;
         this.settings = {
             speechRate: 1.0,
             voicePitch: 1.0,
             voiceVolume: 1.0,
             darkMode: false,
-            autoPlay: true
+            autoPlay: true,
+            glossaryIds: []
         };
         
         this.init();
@@ -108,6 +126,10 @@ class LiveTranslationApp {
             this.exportHistory();
         });
 
+        document.getElementById('importHistoryToMemory').addEventListener('click', () => {
+            this.importHistoryToMemory();
+        });
+
         document.getElementById('clearHistory').addEventListener('click', () => {
             this.clearHistory();
         });
@@ -203,6 +225,15 @@ class LiveTranslationApp {
     setupSocketEvents() {
         this.socket.on('connect', () => {
             this.updateConnectionStatus(true);
+            
+            // Back after a dropped connection: take our seat back
+            if (this.currentRoom && this.sessionToken) {
+                this.updateRoomStatus('Reconnecting...', 'connecting');
+                this.socket.emit('resume-session', {
+                    sessionToken: this.sessionToken,
+                    lastMessageId: this.lastMessageId
+                });
+            }
         });
 
         this.socket.on('disconnect', () => {
@@ -214,6 +245,18 @@ class LiveTranslationApp {
             this.onRoomJoined(data);
         });
 
+        this.socket.on('session-resumed', (data) => {
+            this.onSessionResumed(data);
+        });
+
+        this.socket.on('session-expired', () => {
+            this.onSessionExpired();
+        });
+
+        this.socket.on('join-refused', (data) => {
+            this.onJoinRefused(data);
+        });
+
         this.socket.on('user-joined', (data) => {
             this.onUserJoined(data);
         });
@@ -222,6 +265,47 @@ class LiveTranslationApp {
             this.onUserLeft(data);
         });
 
+        this.socket.on('user-resumed', (data) => {
+            this.onUserResumed(data);
+        });
+
+        // Host moderation
+        this.socket.on('invite-created', (data) => {
+            if (data.role === 'captions') {
+                this.copyShareLink(this.buildCaptionsLink(data.inviteToken));
+                return;
+            }
+            this.copyShareLink(this.buildShareLink(data.inviteToken, data.role === 'listener'));
+        });
+
+        this.socket.on('floor-updated', (data) => {
+            this.onFloorUpdated(data);
+        });
+
+        this.socket.on('audience-updated', (data) => {
+            this.displayAudience(data.audience);
+        });
+
+        this.socket.on('room-updated', (data) => {
+            this.onRoomUpdated(data);
+        });
+
+        this.socket.on('host-changed', (data) => {
+            this.onHostChanged(data);
+        });
+
+        this.socket.on('participant-muted', (data) => {
+            this.onParticipantMuted(data);
+        });
+
+        this.socket.on('kicked', (data) => {
+            this.onRemovedFromRoom(data.message);
+        });
+
+        this.socket.on('room-closed', (data) => {
+            this.onRemovedFromRoom(data.message);
+        });
+
         this.socket.on('live-translation', (data) => {
             this.onLiveTranslation(data);
         });
@@ -230,10 +314,18 @@ class LiveTranslationApp {
             this.onNewMessage(data);
         });
 
+        this.socket.on('direct-message', (data) => {
+            this.onDirectMessage(data);
+        });
+
         this.socket.on('user-language-changed', (data) => {
             this.onUserLanguageChanged(data);
         });
 
+        this.socket.on('message-corrected', (data) => {
+            this.onMessageCorrected(data);
+        });
+
         this.socket.on('error', (error) => {
             this.showToast(error.message, 'error');
         });
@@ -245,6 +337,20 @@ class LiveTranslationApp {
             return;
         }
 
+        if (this.currentRoom && !this.canSpeak() && !this.isRecording) {
+            this.showToast(this.listenOnly ? 'You are listening to this room' : 'Only designated speakers can talk in this broadcast', 'info');
+            return;
+        }
+
+        // With floor control the mic button asks for the floor (or leaves the queue);
+        // recording starts once the server grants it
+        if (this.currentRoom && this.floor.enabled && !this.isRecording && this.floor.holderId !== this.socket.id) {
+            this.wantsFloor = !this.wantsFloor;
+            this.socket.emit(this.wantsFloor ? 'request-floor' : 'release-floor');
+            if (this.wantsFloor) this.showToast('Floor requested, waiting for your turn', 'info');
+            return;
+        }
+
         if (this.isRecording) {
             this.stopRecording();
         } else {
@@ -309,6 +415,11 @@ class LiveTranslationApp {
         
         this.updateTranslationStatus('Ready', 'ready');
         this.isRecording = false;
+
+        // Done talking: pass the floor on
+        if (this.currentRoom && this.floor.enabled && this.floor.holderId === this.socket.id) {
+            this.socket.emit('release-floor');
+        }
     }
 
     async onSpeechResult(event) {
@@ -347,9 +458,71 @@ class LiveTranslationApp {
             if (finalTranscript.trim()) {
                 await this.translateText(finalTranscript.trim(), true);
             }
+            
+            // Stream drafts to the room while the speaker is still talking
+            if (interimTranscript.trim() && this.currentRoom) {
+                this.queueInterimSpeech(interimTranscript.trim());
+            }
         }
     }
 
+    // Each utterance is one segment; drafts and the final result share its id
+    getSpeechSegment() {
+        if (!this.speechSegment) {
+            this.segmentCounter++;
+            this.speechSegment = {
+                id: `${Date.now().toString(36)}-${this.segmentCounter}`,
+                sequence: 0,
+                pendingText: null,
+                lastSentText: null,
+                lastSentAt: 0
+            };
+        }
+        return this.speechSegment;
+    }
+
+    // Throttle interim results, always sending the latest text once the window passes
+    queueInterimSpeech(text) {
+        const segment = this.getSpeechSegment();
+        segment.pendingText = text;
+        
+        if (this.interimTimer) return;
+        
+        const wait = Math.max(0, this.interimThrottleMs - (Date.now() - segment.lastSentAt));
+        this.interimTimer = setTimeout(() => {
+            this.interimTimer = null;
+            this.flushInterimSpeech();
+        }, wait);
+    }
+
+    flushInterimSpeech() {
+        const segment = this.speechSegment;
+        if (!segment || !segment.pendingText || segment.pendingText === segment.lastSentText) return;
+        
+        segment.sequence++;
+        segment.lastSentText = segment.pendingText;
+        segment.lastSentAt = Date.now();
+        
+        this.socket.emit('live-speech', {
+            text: segment.pendingText,
+            isInterim: true,
+            segmentId: segment.id,
+            sequence: segment.sequence,
+            sourceLanguage: this.userLanguage
+        });
+    }
+
+    // Close the current segment with its final text
+    finishSpeechSegment() {
+        clearTimeout(this.interimTimer);
+        this.interimTimer = null;
+        
+        const segment = this.getSpeechSegment();
+        segment.sequence++;
+        this.speechSegment = null;
+        return segment;
+    }
+
     identifySpeaker(transcript, confidence) {
         // Simple speaker identification based on speech patterns and confidence
         const speakerInfo = {
@@ -377,36 +550,45 @@ class LiveTranslationApp {
     }
 
     async attemptLanguageDetection(text) {
-        // Simple language detection based on character patterns
-        const patterns = {
-            'zh': /[\u4e00-\u9fff]/,
-            'ja': /[\u3040-\u309f\u30a0-\u30ff]/,
-            'ko': /[\uac00-\ud7af]/,
-            'ar': /[\u0600-\u06ff]/,
-            'ru': /[\u0400-\u04ff]/,
-            'es': /[ñáéíóúü]/i,
-            'fr': /[àâäéèêëïîôöùûüÿç]/i,
-            'de': /[äöüß]/i
-        };
-        
-        for (const [lang, pattern] of Object.entries(patterns)) {
-            if (pattern.test(text)) {
-                if (lang !== this.userLanguage) {
-                    this.showToast(`Detected ${lang.toUpperCase()} - Consider switching language`, 'info');
-                    this.suggestLanguageChange(lang);
-                }
-                break;
+        try {
+            const response = await fetch('/api/detect', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ text, limit: 3 })
+            });
+            const result = await response.json();
+            if (!result.success || !result.reliable) return;
+            
+            // Only offer languages the user can actually switch to
+            const available = Array.from(document.getElementById('sourceLanguage').options).map(option => option.value);
+            const candidates = result.candidates.filter(candidate => available.includes(candidate.language));
+            
+            if (candidates.length && candidates[0].language !== this.userLanguage) {
+                const best = candidates[0];
+                this.showToast(`Detected ${best.language.toUpperCase()} (${Math.round(best.confidence * 100)}%) - Consider switching language`, 'info');
+                this.suggestLanguageChange(candidates);
             }
+        } catch (error) {
+            console.warn('Language detection failed:', error);
         }
     }
 
-    suggestLanguageChange(detectedLang) {
+    suggestLanguageChange(candidates) {
+        const options = candidates
+            .filter(candidate => candidate.language !== this.userLanguage)
+            .map(candidate => `
+                <button onclick="app.changeLanguage('${candidate.language}')" class="btn-primary btn-sm">
+                    ${candidate.language.toUpperCase()} ${Math.round(candidate.confidence * 100)}%
+                </button>
+            `)
+            .join('');
+        
         const suggestion = document.createElement('div');
         suggestion.className = 'language-suggestion';
         suggestion.innerHTML = `
             <div class="suggestion-content">
-                <span>Detected ${detectedLang.toUpperCase()}. Switch language?</span>
-                <button onclick="app.changeLanguage('${detectedLang}')" class="btn-primary btn-sm">Yes</button>
+                <span>Detected ${candidates[0].language.toUpperCase()}. Switch language?</span>
+                ${options}
                 <button onclick="this.parentElement.parentElement.remove()" class="btn-secondary btn-sm">No</button>
             </div>
         `;
@@ -513,9 +695,12 @@ class LiveTranslationApp {
             
             // For live speech in room, broadcast to room members
             if (isLiveSpeech && this.currentRoom) {
+                const segment = this.finishSpeechSegment();
                 this.socket.emit('live-speech', {
                     text: text,
                     isInterim: false,
+                    segmentId: segment.id,
+                    sequence: segment.sequence,
                     sourceLanguage: sourceLang
                 });
             }
@@ -541,7 +726,8 @@ class LiveTranslationApp {
                 const result = await this.performanceOptimizer.translateSingle({
                     text: text,
                     sourceLang: sourceLang,
-                    targetLang: targetLang
+                    targetLang: targetLang,
+                    glossaryIds: this.settings.glossaryIds
                 });
                 
                 if (result.success || result.translatedText) {
@@ -559,12 +745,14 @@ class LiveTranslationApp {
                 }
             }
             
-            // Send as conversation message if in room
+            // Typed text goes out as a conversation message; speech was already sent above
             if (this.currentRoom) {
-                this.socket.emit('conversation-message', {
-                    text: text,
-                    messageType: isLiveSpeech ? 'speech' : 'text'
-                });
+                if (!isLiveSpeech) {
+                    this.socket.emit('conversation-message', {
+                        text: text,
+                        messageType: 'text'
+                    });
+                }
                 
                 // Add to local feed as own message
                 this.addMessageToFeed({
@@ -765,6 +953,13 @@ class LiveTranslationApp {
             this.settings.autoPlay = e.target.checked;
             this.saveSettings();
         });
+
+        // Glossaries applied to solo translations and rooms we join
+        const glossaryInput = document.getElementById('glossaryIds');
+        glossaryInput.addEventListener('change', (e) => {
+            this.settings.glossaryIds = e.target.value.split(',').map(id => id.trim()).filter(Boolean);
+            this.saveSettings();
+        });
     }
 
     toggleDarkMode(enabled) {
@@ -795,6 +990,8 @@ class LiveTranslationApp {
         this.toggleDarkMode(this.settings.darkMode);
         
         document.getElementById('autoPlay').checked = this.settings.autoPlay;
+        
+        document.getElementById('glossaryIds').value = this.settings.glossaryIds.join(', ');
     }
 
     saveSettings() {
@@ -846,6 +1043,11 @@ class LiveTranslationApp {
     }
 
     exportHistory() {
+        if (this.lastRoom) {
+            this.exportRoomTranscript(this.lastRoom);
+            return;
+        }
+
         if (this.conversationHistory.length === 0) {
             this.showToast('No history to export', 'warning');
             return;
@@ -864,6 +1066,63 @@ class LiveTranslationApp {
         this.showToast('History exported', 'success');
     }
 
+    // The whole room session from the server, original text side by side with our language
+    async exportRoomTranscript(roomId) {
+        const format = (prompt('Transcript format (txt, json, srt, vtt or csv):', 'txt') || '').trim().toLowerCase();
+        if (!format) return;
+
+        const params = new URLSearchParams({ format });
+        if (this.userLanguage && this.userLanguage !== 'auto') params.set('lang', `original,${this.userLanguage}`);
+        if (this.inviteToken) params.set('invite', this.inviteToken);
+
+        try {
+            // Only the host (by the host token, or the session token of whoever hosts now) may export
+            const headers = this.sessionToken ? { 'X-Session-Token': this.sessionToken } : {};
+            if (this.hostToken && roomId === this.hostTokenRoom) headers['X-Host-Token'] = this.hostToken;
+            if (this.roomPassword) headers['X-Room-Password'] = this.roomPassword;
+            const response = await fetch(`/api/room/${encodeURIComponent(roomId)}/transcript?${params}`, { headers });
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                throw new Error(data.error || `HTTP ${response.status}`);
+            }
+
+            const url = URL.createObjectURL(await response.blob());
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `transcript-${roomId}.${format}`;
+            link.click();
+            
+            URL.revokeObjectURL(url);
+            this.showToast('Transcript exported', 'success');
+        } catch (error) {
+            this.showToast(`Could not export the transcript: ${error.message}`, 'error');
+        }
+    }
+
+    async importHistoryToMemory() {
+        if (this.conversationHistory.length === 0) {
+            this.showToast('No history to import', 'warning');
+            return;
+        }
+
+        try {
+            const response = await fetch('/api/memory/import/history', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ items: this.conversationHistory })
+            });
+            const result = await response.json();
+            if (!result.success) throw new Error(result.error);
+
+            this.showToast(result.pending
+                ? `Suggested ${result.imported} translations for memory; they apply once approved`
+                : `Added ${result.imported} translations to memory`, 'success');
+        } catch (error) {
+            console.error('Memory import error:', error);
+            this.showToast('Failed to add history to memory', 'error');
+        }
+    }
+
     clearHistory() {
         if (confirm('Are you sure you want to clear all conversation history?')) {
             this.conversationHistory = [];
@@ -1021,6 +1280,37 @@ class LiveTranslationApp {
             this.shareRoomLink();
         });
 
+        document.getElementById('shareListenBtn').addEventListener('click', () => {
+            this.shareRoomLink(true);
+        });
+
+        // Caption overlays are not listed in the room, so only the host hands out their links
+        document.getElementById('captionsLinkBtn').addEventListener('click', () => {
+            this.socket.emit('create-invite', { role: 'captions' });
+        });
+
+        document.getElementById('roomModeSelect').addEventListener('change', (e) => {
+            this.socket.emit('set-room-mode', { mode: e.target.value });
+        });
+
+        document.getElementById('floorControlToggle').addEventListener('change', (e) => {
+            this.socket.emit('set-floor-control', { enabled: e.target.checked });
+        });
+
+        document.getElementById('lockRoomToggle').addEventListener('change', (e) => {
+            this.socket.emit('lock-room', { locked: e.target.checked });
+        });
+
+        document.getElementById('maxParticipantsInput').addEventListener('change', (e) => {
+            this.socket.emit('set-max-participants', { maxParticipants: Number(e.target.value) || null });
+        });
+
+        document.getElementById('closeRoomBtn').addEventListener('click', () => {
+            if (confirm('Close this room for everyone?')) {
+                this.socket.emit('close-room');
+            }
+        });
+
         document.getElementById('sourceLanguage').addEventListener('change', (e) => {
             this.userLanguage = e.target.value;
             if (this.recognition) {
@@ -1052,6 +1342,8 @@ class LiveTranslationApp {
     checkUrlForRoom() {
         const urlParams = new URLSearchParams(window.location.search);
         const roomId = urlParams.get('room');
+        this.inviteToken = urlParams.get('invite');
+        this.listenOnly = urlParams.has('listen');
         if (roomId) {
             document.getElementById('roomIdInput').value = roomId;
             this.showToast('Room ID detected in URL. Enter your name and join!', 'info');
@@ -1059,32 +1351,88 @@ class LiveTranslationApp {
     }
 
     async joinOrCreateRoom() {
-        const roomId = document.getElementById('roomIdInput').value.trim() || this.generateRoomId();
+        const enteredId = document.getElementById('roomIdInput').value.trim();
+        const created = enteredId ? null : await this.createRoom();
+        const roomId = enteredId || (created && created.roomId);
+        if (!roomId) return;
+        if (created) {
+            this.hostToken = created.hostToken;
+            this.hostTokenRoom = roomId;
+        }
         const userName = document.getElementById('userNameInput').value.trim() || `User${Math.floor(Math.random() * 1000)}`;
         const userLanguage = document.getElementById('sourceLanguage').value;
 
         this.userName = userName;
         this.userLanguage = userLanguage;
         this.currentRoom = roomId;
+        this.sessionToken = null;
+        this.roomPassword = null;
+
+        this.emitJoinRoom();
+    }
 
+    emitJoinRoom() {
         this.socket.emit('join-room', {
-            roomId: roomId,
-            userName: userName,
-            userLanguage: userLanguage
+            roomId: this.currentRoom,
+            userName: this.userName,
+            userLanguage: this.userLanguage,
+            glossaryIds: this.settings.glossaryIds,
+            inviteToken: this.inviteToken,
+            password: this.roomPassword,
+            hostToken: this.currentRoom === this.hostTokenRoom ? this.hostToken : undefined,
+            role: this.listenOnly ? 'listener' : undefined
         });
 
         this.updateRoomStatus('Connecting...', 'connecting');
     }
 
-    generateRoomId() {
-        return Math.random().toString(36).substring(2, 8).toUpperCase();
+    // New rooms get their id from the server, where it is random enough not to be guessed,
+    // and a host token that makes us the host
+    async createRoom() {
+        try {
+            const response = await fetch('/api/create-room', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({})
+            });
+            const data = await response.json();
+            if (!data.success) throw new Error(data.error || `HTTP ${response.status}`);
+            return { roomId: data.roomId, hostToken: data.hostToken };
+        } catch (error) {
+            this.showToast(`Could not create a room: ${error.message}`, 'error');
+            return null;
+        }
     }
 
-    async shareRoomLink() {
+    shareRoomLink(listenOnly = false) {
         if (!this.currentRoom) return;
         
-        const shareLink = `${window.location.origin}${window.location.pathname}?room=${this.currentRoom}`;
+        // Protected rooms are shared with a signed invite that only the host can create
+        if (this.roomSettings.protected) {
+            if (this.isHost()) {
+                this.socket.emit('create-invite', { role: listenOnly ? 'listener' : undefined });
+            } else {
+                this.showToast('Ask the host for an invite link to this room', 'info');
+            }
+            return;
+        }
         
+        this.copyShareLink(this.buildShareLink(null, listenOnly));
+    }
+
+    buildShareLink(inviteToken, listenOnly) {
+        const room = encodeURIComponent(this.currentRoom);
+        const params = `${listenOnly ? '&listen=1' : ''}${inviteToken ? `&invite=${inviteToken}` : ''}`;
+        return `${window.location.origin}${window.location.pathname}?room=${room}${params}`;
+    }
+
+    buildCaptionsLink(inviteToken) {
+        const room = encodeURIComponent(this.currentRoom);
+        const lang = encodeURIComponent(this.userLanguage);
+        return `${window.location.origin}/captions?room=${room}&lang=${lang}&invite=${inviteToken}`;
+    }
+
+    async copyShareLink(shareLink) {
         try {
             await navigator.clipboard.writeText(shareLink);
             this.showToast('Room link copied to clipboard!', 'success');
@@ -1101,36 +1449,259 @@ class LiveTranslationApp {
     }
 
     onRoomJoined(data) {
+        this.sessionToken = data.sessionToken;
+        this.listenOnly = data.listenOnly;
+        this.lastRoom = data.roomId;
         this.updateRoomStatus(`Connected to room: ${data.roomId}`, 'connected');
+        this.applyRoomSettings(data);
         this.updateRoomUsers(data.users);
+        this.displayAudience(data.audience);
+        this.onFloorUpdated(data.floor);
         this.showConnectedUsers();
         document.getElementById('shareRoomBtn').style.display = 'inline-block';
         document.getElementById('roomIdInput').value = data.roomId;
-        document.getElementById('currentMode').textContent = 'Room Chat';
         
         this.clearConversationFeed();
+        
+        // Catch up on what was said before we joined
+        if (data.history && data.history.length) {
+            this.addSystemMessage(`Earlier in this room (${data.history.length} messages)`);
+            data.history.forEach(message => {
+                this.addMessageToFeed({
+                    messageId: message.messageId,
+                    originalText: message.originalText,
+                    translatedText: message.translatedText,
+                    speakerName: message.speakerName,
+                    isOwn: message.speakerId === this.socket.id,
+                    correctable: message.sourceLanguage !== this.userLanguage,
+                    edited: message.edited,
+                    timestamp: message.timestamp
+                });
+            });
+        }
+        
         this.addSystemMessage(`Welcome to room ${data.roomId}! You can now have real-time conversations.`);
     }
 
+    onSessionResumed(data) {
+        this.updateRoomStatus(`Connected to room: ${data.roomId}`, 'connected');
+        this.applyRoomSettings(data);
+        this.updateRoomUsers(data.users);
+        this.displayAudience(data.audience);
+        this.onFloorUpdated(data.floor);
+        
+        if (data.missed && data.missed.length) {
+            this.addSystemMessage(`Reconnected, ${data.missed.length} missed message${data.missed.length === 1 ? '' : 's'}`);
+            data.missed.forEach(message => {
+                this.addMessageToFeed({
+                    messageId: message.messageId,
+                    originalText: message.originalText,
+                    translatedText: message.translatedText,
+                    speakerName: message.speakerName,
+                    isOwn: false,
+                    correctable: message.sourceLanguage !== this.userLanguage,
+                    edited: message.edited,
+                    timestamp: message.timestamp
+                });
+            });
+        }
+    }
+
+    onSessionExpired() {
+        // The seat is gone; join again as a new participant
+        this.sessionToken = null;
+        if (this.currentRoom) {
+            this.showToast('Connection was lost for too long, rejoining the room', 'info');
+            this.emitJoinRoom();
+        }
+    }
+
+    onJoinRefused(data) {
+        // Protected room: ask for the password and try again
+        if (['password-required', 'invalid-password', 'invalid-invite', 'invite-expired'].includes(data.reason)) {
+            const password = prompt(`${data.message}. Room password:`);
+            if (password) {
+                this.roomPassword = password;
+                this.emitJoinRoom();
+                return;
+            }
+        }
+
+        this.currentRoom = null;
+        this.updateRoomStatus('Not connected', 'disconnected');
+        this.showToast(data.message, 'error');
+    }
+
     onUserJoined(data) {
+        this.updateRoomUsers(this.roomUsers.concat({ id: data.userId, name: data.userName, language: data.userLanguage }));
         this.addSystemMessage(`${data.userName} joined the conversation (${data.userLanguage})`);
         this.showToast(`${data.userName} joined`, 'info');
     }
 
     onUserLeft(data) {
-        this.addSystemMessage(`${data.userName} left the conversation`);
-        this.showToast(`${data.userName} left`, 'info');
+        this.updateRoomUsers(this.roomUsers.filter(user => user.id !== data.userId));
+        const verb = data.reason === 'kicked' ? 'was removed from' : 'left';
+        this.addSystemMessage(`${data.userName} ${verb} the conversation`);
+        this.showToast(`${data.userName} ${verb === 'left' ? 'left' : 'was removed'}`, 'info');
+    }
+
+    onUserResumed(data) {
+        this.updateRoomUsers(this.roomUsers.map(user => user.id === data.previousUserId ? { ...user, id: data.userId } : user));
+    }
+
+    onRoomUpdated(data) {
+        this.applyRoomSettings(data);
+        this.displayUsersList(this.roomUsers);
+    }
+
+    onHostChanged(data) {
+        this.addSystemMessage(data.hostId === this.socket.id ? 'You are now the host' : `${data.hostName} is now the host`);
+    }
+
+    onParticipantMuted(data) {
+        this.updateRoomUsers(this.roomUsers.map(user => user.id === data.userId ? { ...user, muted: data.muted } : user));
+        if (data.userId === this.socket.id) {
+            this.showToast(data.muted ? 'The host muted you' : 'The host unmuted you', data.muted ? 'error' : 'info');
+        }
+    }
+
+    onRemovedFromRoom(message) {
+        this.currentRoom = null;
+        this.sessionToken = null;
+        this.roomSettings = { hostId: null, locked: false, maxParticipants: null, protected: false, mode: 'conversation', speakerIds: [] };
+        this.updateRoomStatus('Not connected', 'disconnected');
+        this.updateRoomUsers([]);
+        this.displayAudience({ total: 0, languages: {} });
+        this.onFloorUpdated({ enabled: false, holderId: null, queue: [] });
+        document.getElementById('shareListenBtn').style.display = 'none';
+        document.getElementById('hostControls').style.display = 'none';
+        document.getElementById('currentMode').textContent = 'Solo';
+        this.addSystemMessage(message);
+        this.showToast(message, 'error');
+    }
+
+    isHost() {
+        return !!this.currentRoom && this.roomSettings.hostId === this.socket.id;
+    }
+
+    // Mirrors the server's rule; the server enforces it regardless
+    canSpeak() {
+        if (this.listenOnly) return false;
+        if (this.roomSettings.mode !== 'broadcast') return true;
+        return this.isHost() || this.roomSettings.speakerIds.includes(this.socket.id);
+    }
+
+    applyRoomSettings(data) {
+        this.roomSettings = {
+            hostId: data.hostId,
+            locked: data.locked,
+            maxParticipants: data.maxParticipants,
+            protected: data.protected,
+            mode: data.mode || 'conversation',
+            speakerIds: data.speakerIds || []
+        };
+
+        const isBroadcast = this.roomSettings.mode === 'broadcast';
+        document.getElementById('hostControls').style.display = this.isHost() ? 'flex' : 'none';
+        document.getElementById('lockRoomToggle').checked = !!data.locked;
+        document.getElementById('maxParticipantsInput').value = data.maxParticipants || '';
+        document.getElementById('roomModeSelect').value = this.roomSettings.mode;
+        document.getElementById('floorControlToggle').checked = !!data.floorControl;
+        document.getElementById('shareListenBtn').style.display = isBroadcast && !this.listenOnly ? 'inline-block' : 'none';
+        document.getElementById('currentMode').textContent = this.listenOnly ? 'Listening' : (isBroadcast ? 'Broadcast' : 'Room Chat');
+    }
+
+    onFloorUpdated(floor) {
+        const wasHolder = this.floor.holderId === this.socket.id;
+        this.floor = floor || { enabled: false, holderId: null, queue: [] };
+        const isHolder = this.floor.enabled && this.floor.holderId === this.socket.id;
+
+        if (!this.floor.enabled) {
+            this.wantsFloor = false;
+        } else if (isHolder && this.wantsFloor) {
+            // Our turn
+            this.wantsFloor = false;
+            if (!this.isRecording) this.startRecording();
+        } else if (wasHolder && !isHolder && this.isRecording) {
+            // The host took the floor back
+            this.stopRecording();
+        }
+
+        this.displayFloor();
+    }
+
+    displayFloor() {
+        const status = document.getElementById('floorStatus');
+        if (!this.floor.enabled) {
+            status.style.display = 'none';
+            return;
+        }
+
+        const position = this.floor.queue.findIndex(entry => entry.userId === this.socket.id);
+        const holder = this.floor.holderId === this.socket.id ? 'You have' : (this.floor.holderName ? `${this.floor.holderName} has` : 'Nobody has');
+        const waiting = this.floor.queue.length ? ` · ${this.floor.queue.length} waiting` : '';
+        const place = position !== -1 ? ` · you are #${position + 1}` : '';
+
+        // The holder's name comes from another client: text only, never markup
+        status.style.display = 'flex';
+        status.innerHTML = '<i class="fas fa-microphone"></i>';
+        status.append(` ${holder} the floor${waiting}${place}`);
+        status.classList.toggle('holding', this.floor.holderId === this.socket.id);
+    }
+
+    // The audience is shown as a head count per language, not one badge each
+    displayAudience(audience) {
+        const container = document.getElementById('audienceCounts');
+        if (!audience || !audience.total) {
+            container.style.display = 'none';
+            return;
+        }
+
+        container.style.display = 'flex';
+        container.innerHTML = '<span class="audience-total"><i class="fas fa-headphones"></i></span>';
+        container.firstChild.append(` ${Number(audience.total)} listening`);
+        
+        // Language codes come from other clients: text only, never markup
+        Object.entries(audience.languages)
+            .sort((a, b) => b[1] - a[1])
+            .forEach(([language, count]) => {
+                const chip = document.createElement('span');
+                chip.className = 'audience-language';
+                chip.textContent = `${language.toUpperCase()} ${count}`;
+                container.appendChild(chip);
+            });
+    }
+
+    // Host actions on one participant
+    moderate(action, userId) {
+        if (action === 'kick') {
+            this.socket.emit('kick-participant', { userId });
+        } else if (action === 'mute' || action === 'unmute') {
+            this.socket.emit('mute-participant', { userId, muted: action === 'mute' });
+        } else if (action === 'host') {
+            this.socket.emit('transfer-host', { userId });
+        } else if (action === 'speaker' || action === 'unspeaker') {
+            this.socket.emit('set-speaker', { userId, speaker: action === 'speaker' });
+        }
     }
 
     onLiveTranslation(data) {
         this.addMessageToFeed({
+            messageId: data.messageId,
             originalText: data.originalText,
             translatedText: data.translatedText,
             speakerName: data.speakerName,
             isOwn: false,
+            correctable: true,
+            isInterim: data.isInterim,
+            segmentKey: data.segmentId ? `${data.speakerId}:${data.segmentId}` : null,
+            sequence: data.sequence,
             timestamp: data.timestamp
         });
 
+        // Drafts are only shown; speak and remember the final segment
+        if (data.isInterim) return;
+
         // Auto-play if enabled and output mode allows
         if (this.settings.autoPlay && this.outputMode !== 'text') {
             this.speakTranslation(data.translatedText);
@@ -1142,6 +1713,7 @@ class LiveTranslationApp {
     onNewMessage(data) {
         // This handles non-translated messages (same language users)
         this.addMessageToFeed({
+            messageId: data.messageId,
             originalText: data.originalText,
             translatedText: data.originalText,
             speakerName: data.speakerName,
@@ -1150,6 +1722,35 @@ class LiveTranslationApp {
         });
     }
 
+    // Private messages go to one participant and stay out of the room history
+    sendDirectMessage(userId) {
+        const recipient = this.roomUsers.find(user => user.id === userId);
+        if (!recipient) return;
+        
+        const text = prompt(`Private message to ${recipient.name}:`);
+        if (!text || !text.trim()) return;
+        
+        this.socket.emit('direct-message', { toUserId: userId, text: text.trim() });
+    }
+
+    onDirectMessage(data) {
+        const isOwn = data.fromUserId === this.socket.id;
+        
+        // No messageId: private messages are not part of the history a resume catches up on
+        this.addMessageToFeed({
+            originalText: data.originalText,
+            translatedText: isOwn ? data.originalText : data.translatedText,
+            speakerName: isOwn ? `You → ${data.toUserName}` : data.fromUserName,
+            isOwn,
+            isPrivate: true,
+            timestamp: data.timestamp
+        });
+        
+        if (!isOwn && this.settings.autoPlay && this.outputMode !== 'text') {
+            this.speakTranslation(data.translatedText);
+        }
+    }
+
     onUserLanguageChanged(data) {
         this.addSystemMessage(`${data.userName} switched to ${data.newLanguage}`);
     }
@@ -1167,14 +1768,15 @@ class LiveTranslationApp {
         document.getElementById('roomUsersCount').textContent = count;
         
         if (Array.isArray(users)) {
-            this.displayUsersList(users);
+            this.roomUsers = users;
         } else {
-            this.displayUsersList(Array.from(users.entries()).map(([id, info]) => ({
+            this.roomUsers = Array.from(users.entries()).map(([id, info]) => ({
                 id,
                 name: info.userName,
                 language: info.userLanguage
-            })));
+            }));
         }
+        this.displayUsersList(this.roomUsers);
     }
 
     displayUsersList(users) {
@@ -1183,10 +1785,36 @@ class LiveTranslationApp {
         
         users.forEach(user => {
             const userBadge = document.createElement('div');
-            userBadge.className = 'user-badge';
+            const isRoomHost = user.id === this.roomSettings.hostId;
+            const canModerate = this.isHost() && user.id !== this.socket.id;
+            const canMessage = !this.listenOnly && user.id !== this.socket.id;
+            const isBroadcast = this.roomSettings.mode === 'broadcast';
+            const isSpeaker = this.roomSettings.speakerIds.includes(user.id);
+            userBadge.className = `user-badge ${user.muted ? 'muted' : ''}`;
             userBadge.innerHTML = `
                 <span class="language-flag">${user.language.toUpperCase()}</span>
                 ${user.name}
+                ${isRoomHost ? '<i class="fas fa-crown" title="Host"></i>' : ''}
+                ${user.muted ? '<i class="fas fa-microphone-slash" title="Muted"></i>' : ''}
+                ${isBroadcast && isSpeaker ? '<i class="fas fa-bullhorn" title="Speaker"></i>' : ''}
+                ${canMessage ? `
+                <button class="user-action" title="Private message" onclick="app.sendDirectMessage('${user.id}')">
+                    <i class="fas fa-envelope"></i>
+                </button>` : ''}
+                ${canModerate && isBroadcast ? `
+                <button class="user-action" title="${isSpeaker ? 'Remove speaker' : 'Make speaker'}" onclick="app.moderate('${isSpeaker ? 'unspeaker' : 'speaker'}', '${user.id}')">
+                    <i class="fas fa-bullhorn"></i>
+                </button>` : ''}
+                ${canModerate ? `
+                <button class="user-action" title="${user.muted ? 'Unmute' : 'Mute'}" onclick="app.moderate('${user.muted ? 'unmute' : 'mute'}', '${user.id}')">
+                    <i class="fas fa-${user.muted ? 'microphone' : 'microphone-slash'}"></i>
+                </button>
+                <button class="user-action" title="Make host" onclick="app.moderate('host', '${user.id}')">
+                    <i class="fas fa-crown"></i>
+                </button>
+                <button class="user-action" title="Remove from room" onclick="app.moderate('kick', '${user.id}')">
+                    <i class="fas fa-user-times"></i>
+                </button>` : ''}
             `;
             usersList.appendChild(userBadge);
         });
@@ -1198,15 +1826,39 @@ class LiveTranslationApp {
 
     addMessageToFeed(message) {
         const feed = document.getElementById('conversationFeed');
-        const messageElement = document.createElement('div');
-        messageElement.className = `conversation-message ${message.isOwn ? 'own' : ''}`;
+        
+        // Segments (drafts and their final text) are updated in place
+        let messageElement = message.segmentKey
+            ? Array.from(feed.querySelectorAll('.conversation-message[data-segment]'))
+                .find(element => element.dataset.segment === message.segmentKey)
+            : null;
+        
+        if (messageElement) {
+            const isFinal = messageElement.dataset.final === 'true';
+            const isOlder = Number(message.sequence) < Number(messageElement.dataset.sequence);
+            if (isFinal || (message.isInterim && isOlder)) return;
+        } else {
+            messageElement = document.createElement('div');
+            feed.appendChild(messageElement);
+        }
+        
+        messageElement.className = `conversation-message ${message.isOwn ? 'own' : ''} ${message.isInterim ? 'interim' : ''} ${message.edited ? 'edited' : ''} ${message.isPrivate ? 'private' : ''}`;
+        if (message.messageId) {
+            messageElement.dataset.messageId = message.messageId;
+            if (!message.isInterim) this.lastMessageId = message.messageId;
+        }
+        if (message.segmentKey) {
+            messageElement.dataset.segment = message.segmentKey;
+            messageElement.dataset.sequence = message.sequence || 0;
+            messageElement.dataset.final = message.isInterim ? 'false' : 'true';
+        }
         
         const time = new Date(message.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
         
         messageElement.innerHTML = `
             <div class="message-header">
-                <span class="speaker-name">${message.speakerName}</span>
-                <span class="message-time">${time}</span>
+                <span class="speaker-name">${message.speakerName}${message.isPrivate ? ' <span class="private-marker"><i class="fas fa-lock"></i> Private</span>' : ''}</span>
+                <span class="message-time">${message.isInterim ? '<i class="fas fa-ellipsis-h"></i> ' : ''}${time}${message.edited ? ' <span class="edited-marker">(edited)</span>' : ''}</span>
             </div>
             <div class="message-content">
                 ${message.originalText !== message.translatedText ? 
@@ -1220,10 +1872,13 @@ class LiveTranslationApp {
                 <button class="message-action" onclick="app.copyMessage('${message.translatedText}')">
                     <i class="fas fa-copy"></i>
                 </button>
+                ${message.correctable && !message.isOwn && message.messageId && !this.listenOnly ? `
+                <button class="message-action" title="Suggest correction" onclick="app.suggestCorrection('${message.messageId}')">
+                    <i class="fas fa-pen"></i>
+                </button>` : ''}
             </div>
         `;
         
-        feed.appendChild(messageElement);
         feed.scrollTop = feed.scrollHeight;
         
         // Remove placeholder if exists
@@ -1233,6 +1888,46 @@ class LiveTranslationApp {
         }
     }
 
+    findFeedMessage(messageId) {
+        const feed = document.getElementById('conversationFeed');
+        return Array.from(feed.querySelectorAll('.conversation-message[data-message-id]'))
+            .find(element => element.dataset.messageId === messageId) || null;
+    }
+
+    suggestCorrection(messageId) {
+        const element = this.findFeedMessage(messageId);
+        if (!element) return;
+
+        const current = element.querySelector('.translated-text').textContent;
+        const correctedText = prompt('Suggest a better translation:', current);
+        if (correctedText === null || !correctedText.trim() || correctedText.trim() === current.trim()) return;
+
+        const remember = confirm('Suggest this correction for future translations of the same sentence?');
+
+        this.socket.emit('suggest-correction', {
+            messageId,
+            correctedText: correctedText.trim(),
+            remember
+        });
+    }
+
+    onMessageCorrected(data) {
+        const element = this.findFeedMessage(data.messageId);
+        if (!element) return;
+
+        element.querySelector('.translated-text').textContent = data.translatedText;
+        element.classList.add('edited');
+
+        const time = element.querySelector('.message-time');
+        if (time && !time.querySelector('.edited-marker')) {
+            time.insertAdjacentHTML('beforeend', ' <span class="edited-marker">(edited)</span>');
+        }
+        const marker = time && time.querySelector('.edited-marker');
+        if (marker) {
+            marker.title = `Corrected by ${data.editedBy}`;
+        }
+    }
+
     addSystemMessage(text) {
         const feed = document.getElementById('conversationFeed');
         const messageElement = document.createElement('div');
@@ -0,0 +1,181 @@
+// Caption overlay: joins a room as a hidden listener and shows the latest translated
+// lines. Everything is set through the page URL, e.g.
+// /captions?room=ABC123&lang=es&size=56&lines=2&fade=6000&position=bottom
+//
+//   room      room to caption (required)
+//   lang      caption language (en)
+//   invite    invite token for protected rooms
+//   lines     lines on screen at once (2)
+//   fade      ms a line stays up after its last update, 0 keeps it (8000)
+//   fadeOut   ms the fade itself takes (600)
+//   position  bottom, top or center (bottom)
+//   align     left, center or right (center)
+//   font      CSS font family (Inter, sans-serif)
+//   size      font size in px (48)
+//   color     text color (#ffffff)
+//   outline   text outline color, none for no outline (#000000)
+//   bg        background behind each line (transparent)
+//   speaker   1 to prefix lines with the speaker's name
+//   interim   0 to wait for final text instead of showing drafts
+
+class CaptionOverlay {
+    constructor(params) {
+        this.roomId = params.get('room');
+        this.language = params.get('lang') || 'en';
+        this.inviteToken = params.get('invite');
+        this.maxLines = this.number(params.get('lines'), 2, 1);
+        this.fadeAfter = this.number(params.get('fade'), 8000, 0);
+        this.fadeOut = this.number(params.get('fadeOut'), 600, 0);
+        this.showSpeaker = params.get('speaker') === '1';
+        this.showInterim = params.get('interim') !== '0';
+        this.lines = new Map(); // messageId -> { element, timer }
+
+        this.container = document.getElementById('captions');
+        this.status = document.getElementById('captionStatus');
+        this.applyStyle(params);
+
+        if (!this.roomId) {
+            this.setStatus('Add ?room=ROOM_ID to the caption URL');
+            return;
+        }
+        this.connect();
+    }
+
+    number(value, fallback, min) {
+        const parsed = Number(value);
+        return value !== null && value !== '' && Number.isFinite(parsed) && parsed >= min ? parsed : fallback;
+    }
+
+    // Hex colors may be given without their '#', which would otherwise need escaping in the URL
+    color(value, fallback) {
+        if (!value) return fallback;
+        return /^[0-9a-f]{3,8}$/i.test(value) ? `#${value}` : value;
+    }
+
+    applyStyle(params) {
+        const position = ['top', 'center', 'bottom'].includes(params.get('position')) ? params.get('position') : 'bottom';
+        const align = ['left', 'center', 'right'].includes(params.get('align')) ? params.get('align') : 'center';
+        const outline = params.get('outline') === 'none' ? null : this.color(params.get('outline'), '#000000');
+
+        this.container.className = `captions ${position}`;
+        Object.assign(this.container.style, {
+            textAlign: align,
+            fontFamily: params.get('font') || 'Inter, sans-serif',
+            fontSize: `${this.number(params.get('size'), 48, 8)}px`,
+            color: this.color(params.get('color'), '#ffffff'),
+            textShadow: outline
+                ? `-2px -2px 0 ${outline}, 2px -2px 0 ${outline}, -2px 2px 0 ${outline}, 2px 2px 0 ${outline}, 0 0 6px ${outline}`
+                : 'none'
+        });
+        this.lineBackground = this.color(params.get('bg'), 'transparent');
+    }
+
+    connect() {
+        this.socket = new RealtimeClient();
+
+        // Every connection is a new one for the server, so join again after a reconnect
+        this.socket.on('connect', () => {
+            this.socket.emit('join-room', {
+                roomId: this.roomId,
+                userName: 'Captions',
+                userLanguage: this.language,
+                inviteToken: this.inviteToken,
+                role: 'captions'
+            });
+        });
+
+        this.socket.on('room-joined', () => this.setStatus(''));
+        this.socket.on('disconnect', () => this.setStatus('Reconnecting...'));
+        this.socket.on('join-refused', (data) => this.setStatus(data.message));
+        this.socket.on('room-closed', (data) => this.setStatus(data.message));
+        this.socket.on('kicked', (data) => this.setStatus(data.message));
+
+        this.socket.on('live-translation', (data) => {
+            if (data.isInterim && !this.showInterim) return;
+            this.showLine(data.messageId, data.translatedText, data.speakerName, data.isInterim);
+        });
+
+        // Speech already in the caption language arrives untranslated, and only once final
+        this.socket.on('new-message', (data) => {
+            if (data.messageType !== 'speech') return;
+            this.showLine(data.messageId, data.originalText, data.speakerName, false);
+        });
+
+        this.socket.on('message-corrected', (data) => {
+            const line = this.lines.get(data.messageId);
+            if (line && data.language === this.language) {
+                line.text.textContent = data.translatedText;
+            }
+        });
+    }
+
+    setStatus(message) {
+        this.status.textContent = message;
+    }
+
+    // Drafts and the final text of a segment share a message id, so they update one line
+    showLine(messageId, text, speakerName, isInterim) {
+        let line = this.lines.get(messageId);
+        if (!line) {
+            line = this.createLine(speakerName);
+            this.lines.set(messageId, line);
+            this.container.appendChild(line.element);
+            this.trimLines();
+        }
+
+        line.text.textContent = text;
+        line.element.classList.toggle('interim', !!isInterim);
+        this.scheduleFade(messageId, line);
+    }
+
+    createLine(speakerName) {
+        const element = document.createElement('div');
+        element.className = 'caption-line';
+        element.style.transitionDuration = `${this.fadeOut}ms`;
+
+        const span = document.createElement('span');
+        span.style.background = this.lineBackground;
+        if (this.showSpeaker && speakerName) {
+            const speaker = document.createElement('span');
+            speaker.className = 'caption-speaker';
+            speaker.textContent = `${speakerName}: `;
+            span.appendChild(speaker);
+        }
+
+        const text = document.createElement('span');
+        span.appendChild(text);
+        element.appendChild(span);
+        return { element, text, timer: null };
+    }
+
+    trimLines() {
+        while (this.lines.size > this.maxLines) {
+            const [oldestId] = this.lines.keys();
+            this.removeLine(oldestId);
+        }
+    }
+
+    scheduleFade(messageId, line) {
+        clearTimeout(line.timer);
+        line.element.classList.remove('fading');
+        if (!this.fadeAfter) return;
+
+        line.timer = setTimeout(() => {
+            line.element.classList.add('fading');
+            line.timer = setTimeout(() => this.removeLine(messageId), this.fadeOut);
+        }, this.fadeAfter);
+    }
+
+    removeLine(messageId) {
+        const line = this.lines.get(messageId);
+        if (!line) return;
+
+        clearTimeout(line.timer);
+        line.element.remove();
+        this.lines.delete(messageId);
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.captionOverlay = new CaptionOverlay(new URLSearchParams(window.location.search));
+});
@@ -222,17 +222,16 @@ class PerformanceOptimizer {
         };
     }
 
-    // Batch translation requests
+    // Batch translation requests - one round trip per batch
     async batchTranslate(requests) {
         const batchSize = this.isMobile ? 3 : 10;
         const results = [];
 
         for (let i = 0; i < requests.length; i += batchSize) {
             const batch = requests.slice(i, i + batchSize);
-            const batchPromises = batch.map(request => this.translateSingle(request));
             
             try {
-                const batchResults = await Promise.all(batchPromises);
+                const batchResults = await this.translateBatch(batch);
                 results.push(...batchResults);
             } catch (error) {
                 console.error('Batch translation error:', error);
@@ -251,6 +250,66 @@ class PerformanceOptimizer {
         return results;
     }
 
+    async translateBatch(batch) {
+        const results = new Array(batch.length);
+        const pending = [];
+
+        // Serve what we can from the local cache
+        batch.forEach((request, index) => {
+            const cached = this.getCachedTranslation(request.text, request.sourceLang, request.targetLang);
+            if (cached) {
+                results[index] = {
+                    originalText: cached.originalText,
+                    translatedText: cached.translatedText,
+                    fromCache: true
+                };
+            } else {
+                pending.push(index);
+            }
+        });
+
+        if (pending.length === 0) return results;
+
+        const startTime = Date.now();
+        const response = await fetch('/api/translate/batch', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ items: pending.map(index => batch[index]) })
+        });
+
+        if (!response.ok) {
+            throw new Error(`Batch request failed with status ${response.status}`);
+        }
+
+        const data = await response.json();
+        const latency = Date.now() - startTime;
+
+        this.performanceMetrics.translationLatency.push({
+            timestamp: Date.now(),
+            latency,
+            textLength: pending.reduce((sum, index) => sum + batch[index].text.length, 0)
+        });
+
+        data.results.forEach((result, position) => {
+            const index = pending[position];
+            const request = batch[index];
+
+            if (result.success) {
+                this.cacheTranslation(
+                    request.text,
+                    result.translatedText,
+                    request.sourceLang,
+                    request.targetLang
+                );
+                results[index] = result;
+            } else {
+                results[index] = { ...result, error: result.message || result.error };
+            }
+        });
+
+        return results;
+    }
+
     async translateSingle(request) {
         // Check cache first
         const cached = this.getCachedTranslation(
@@ -0,0 +1,280 @@
+// Realtime connection for the app: Socket.IO where the server offers it, otherwise
+// Server-Sent Events for server -> client and POST for client -> server, and long polling
+// where not even an SSE stream can stay open (serverless hosts).
+// All expose what LiveTranslationApp uses of a socket: id, connected, on() and emit().
+
+class SseTransport {
+    constructor(baseUrl = '', apiKey = null) {
+        this.name = 'sse';
+        this.baseUrl = baseUrl;
+        this.apiKey = apiKey;
+        this.id = null;
+        this.token = null; // proves to the server that POSTs come from this stream
+        this.connected = false;
+        this.handlers = new Map();
+        this.pending = [];
+        this.sending = Promise.resolve();
+        this.connect();
+    }
+
+    connect() {
+        // EventSource cannot send headers, so a key goes in the query string
+        const query = this.apiKey ? `?apiKey=${encodeURIComponent(this.apiKey)}` : '';
+        this.source = new EventSource(`${this.baseUrl}/realtime/events${query}`);
+
+        // Every (re)opened stream is a new connection with a new id, like a Socket.IO reconnect
+        this.source.addEventListener('connect', (event) => {
+            ({ id: this.id, token: this.token } = JSON.parse(event.data));
+            this.connected = true;
+            this.dispatch('connect');
+            this.pending.splice(0).forEach(([name, data]) => this.emit(name, data));
+        });
+
+        this.source.addEventListener('message', (event) => {
+            const { event: name, data } = JSON.parse(event.data);
+            this.dispatch(name, data);
+        });
+
+        // EventSource retries on its own; failing before the first connect means no SSE here
+        this.source.addEventListener('error', () => {
+            if (!this.id) this.dispatch('connect_error');
+            if (!this.connected) return;
+            this.connected = false;
+            this.dispatch('disconnect', 'transport error');
+        });
+    }
+
+    on(event, handler) {
+        if (!this.handlers.has(event)) this.handlers.set(event, []);
+        this.handlers.get(event).push(handler);
+        return this;
+    }
+
+    dispatch(event, data) {
+        (this.handlers.get(event) || []).forEach(handler => handler(data));
+    }
+
+    // Sent one at a time so the server sees events in order; buffered while disconnected
+    emit(event, data) {
+        if (!this.connected) {
+            this.pending.push([event, data]);
+            return this;
+        }
+
+        const { id, token } = this;
+        this.sending = this.sending.then(() => fetch(`${this.baseUrl}/realtime/emit`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ id, token, event, data })
+        })).catch((error) => {
+            console.warn(`Could not send ${event}:`, error.message);
+        });
+        return this;
+    }
+
+    close() {
+        this.source.close();
+        this.connected = false;
+    }
+}
+
+class PollTransport {
+    constructor(baseUrl = '', apiKey = null) {
+        this.name = 'poll';
+        this.baseUrl = baseUrl;
+        this.apiKey = apiKey;
+        this.id = null;
+        this.token = null; // proves to the server that requests come from this connection
+        this.connected = false;
+        this.closed = false;
+        this.handlers = new Map();
+        this.pending = [];
+        this.sending = Promise.resolve();
+        this.connect();
+    }
+
+    headers(extra = {}) {
+        return { 'Content-Type': 'application/json', ...(this.apiKey ? { 'X-API-Key': this.apiKey } : {}), ...extra };
+    }
+
+    // Every (re)opened connection gets a new id, like a Socket.IO reconnect
+    async connect() {
+        try {
+            const response = await fetch(`${this.baseUrl}/realtime/poll/connect`, { method: 'POST', headers: this.headers() });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            ({ id: this.id, token: this.token } = await response.json());
+        } catch (error) {
+            console.warn('Could not open a polling connection:', error.message);
+            if (!this.closed) setTimeout(() => this.connect(), 2000);
+            return;
+        }
+        if (this.closed) return;
+
+        this.connected = true;
+        this.dispatch('connect');
+        this.pending.splice(0).forEach(([name, data]) => this.emit(name, data));
+        this.poll();
+    }
+
+    async poll() {
+        const { id, token } = this;
+        while (this.connected && this.id === id) {
+            try {
+                const response = await fetch(`${this.baseUrl}/realtime/poll?id=${encodeURIComponent(id)}`, {
+                    headers: this.headers({ 'X-Connection-Token': token })
+                });
+                // The server dropped the connection (it went quiet for too long): start a new one
+                if (response.status === 404) {
+                    this.lost('transport close');
+                    return;
+                }
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+                const { events } = await response.json();
+                events.forEach(({ event, data }) => {
+                    if (event !== 'disconnect') {
+                        this.dispatch(event, data);
+                        return;
+                    }
+                    // Disconnected by the server: stay disconnected, as Socket.IO does
+                    this.closed = true;
+                    this.connected = false;
+                    this.dispatch('disconnect', 'io server disconnect');
+                });
+            } catch (error) {
+                console.warn('Poll failed:', error.message);
+                await new Promise(resolve => setTimeout(resolve, 1000));
+            }
+        }
+    }
+
+    lost(reason) {
+        this.connected = false;
+        this.dispatch('disconnect', reason);
+        if (!this.closed) this.connect();
+    }
+
+    on(event, handler) {
+        if (!this.handlers.has(event)) this.handlers.set(event, []);
+        this.handlers.get(event).push(handler);
+        return this;
+    }
+
+    dispatch(event, data) {
+        (this.handlers.get(event) || []).forEach(handler => handler(data));
+    }
+
+    // Sent one at a time so the server sees events in order; buffered while disconnected
+    emit(event, data) {
+        if (!this.connected) {
+            if (!this.closed) this.pending.push([event, data]);
+            return this;
+        }
+
+        const { id, token } = this;
+        this.sending = this.sending.then(() => fetch(`${this.baseUrl}/realtime/poll/emit`, {
+            method: 'POST',
+            headers: this.headers(),
+            body: JSON.stringify({ id, token, event, data })
+        })).catch((error) => {
+            console.warn(`Could not send ${event}:`, error.message);
+        });
+        return this;
+    }
+
+    close() {
+        const { id, token, connected } = this;
+        this.closed = true;
+        this.connected = false;
+        if (!connected) return;
+
+        // After what is still being sent; keepalive lets it finish while the page unloads
+        this.sending = this.sending.then(() => fetch(`${this.baseUrl}/realtime/poll/close`, {
+            method: 'POST',
+            headers: this.headers(),
+            body: JSON.stringify({ id, token }),
+            keepalive: true
+        })).catch(() => {});
+    }
+}
+
+class RealtimeClient {
+    // transport: 'socket.io', 'sse' or 'poll'; defaults to ?transport= in the page URL, then
+    // Socket.IO when its client script loaded. Falls back to SSE if Socket.IO never manages to
+    // connect, and from SSE to long polling if the stream never opens.
+    // apiKey: presented to the server on connecting (see the README's API keys section).
+    constructor(options = {}) {
+        this.handlers = new Map();
+        this.transport = null;
+
+        const preferred = options.transport || new URLSearchParams(window.location.search).get('transport');
+        if (preferred === 'poll') {
+            this.use(new PollTransport(options.baseUrl, options.apiKey));
+            return;
+        }
+        if (preferred === 'sse' || typeof io !== 'function') {
+            this.useSse(options);
+            return;
+        }
+
+        const socket = io(options.baseUrl, options.apiKey ? { auth: { apiKey: options.apiKey } } : undefined);
+        let everConnected = false;
+        socket.once('connect', () => { everConnected = true; });
+        socket.once('connect_error', () => {
+            if (everConnected) return;
+            console.warn('Socket.IO unavailable, falling back to Server-Sent Events');
+            socket.close();
+            this.useSse(options);
+        });
+        this.use(socket);
+    }
+
+    useSse(options) {
+        const sse = new SseTransport(options.baseUrl, options.apiKey);
+        let fellBack = false;
+        sse.on('connect_error', () => {
+            if (fellBack) return;
+            fellBack = true;
+            console.warn('Server-Sent Events unavailable, falling back to long polling');
+            sse.close();
+            this.use(new PollTransport(options.baseUrl, options.apiKey));
+        });
+        this.use(sse);
+    }
+
+    get id() {
+        return this.transport.id;
+    }
+
+    get connected() {
+        return this.transport.connected;
+    }
+
+    get transportName() {
+        return this.transport.name || 'socket.io';
+    }
+
+    use(transport) {
+        this.transport = transport;
+        this.handlers.forEach((handlers, event) => {
+            handlers.forEach(handler => transport.on(event, handler));
+        });
+    }
+
+    on(event, handler) {
+        if (!this.handlers.has(event)) this.handlers.set(event, []);
+        this.handlers.get(event).push(handler);
+        this.transport.on(event, handler);
+        return this;
+    }
+
+    emit(event, data) {
+        this.transport.emit(event, data);
+        return this;
+    }
+
+    disconnect() {
+        this.transport.close();
+        return this;
+    }
+}
@@ -0,0 +1,429 @@
+// Live Translation client SDK: rooms and translation without the app's UI.
+//
+// Load the server's Socket.IO client first (and realtime.js for the SSE fallback), then this file:
+//
+//   <script src="https://translate.example.com/socket.io/socket.io.js"></script>
+//   <script src="https://translate.example.com/realtime.js"></script>
+//   <script src="https://translate.example.com/sdk/live-translation.js"></script>
+//
+//   const client = new LiveTranslationClient({ baseUrl: 'https://translate.example.com' });
+//   client.on('live-translation', (event) => console.log(event.translatedText));
+//   await client.joinRoom({ roomId: 'ABC123', userName: 'Ana', language: 'es' });
+//   client.sendSpeech('hello every', { interim: true });
+//   client.sendSpeech('hello everyone');
+//
+// Events carry the server's payloads unchanged; see the typedefs below and the README.
+// After a dropped connection the client takes its seat back (`session-resumed`, with the
+// messages it missed) or, once the seat is gone, joins again (`room-joined`).
+
+/**
+ * @typedef {Object} ClientOptions
+ * @property {string} [baseUrl] Server origin; defaults to the page's own
+ * @property {'socket.io'|'sse'|'poll'} [transport] Forces a transport when realtime.js is loaded
+ * @property {Object} [socket] An already created Socket.IO socket or RealtimeClient to use
+ * @property {Function} [io] socket.io-client's `io`, when it is not a global
+ * @property {string} [apiKey] Sent with translate() and when connecting; needed when the server requires keys
+ */
+
+/**
+ * @typedef {Object} JoinOptions
+ * @property {string} roomId
+ * @property {string} [userName]
+ * @property {string} [language] Language the user speaks and reads ('auto' detects what they say)
+ * @property {string} [inviteToken] For protected rooms
+ * @property {string} [password] For protected rooms
+ * @property {string} [hostToken] From POST /api/create-room; makes you the room's host
+ * @property {'listener'} [role] Join the audience of a broadcast
+ * @property {string[]} [glossaryIds] Applied to the whole room when you host it
+ */
+
+/**
+ * @typedef {Object} RoomUser
+ * @property {string} id
+ * @property {string} name
+ * @property {string} language
+ * @property {string} joinedAt
+ * @property {boolean} muted
+ * @property {boolean} listenOnly
+ */
+
+/**
+ * @typedef {Object} RoomJoined
+ * @property {string} roomId
+ * @property {RoomUser[]} users
+ * @property {{ total: number, languages: Object<string, number> }} audience
+ * @property {boolean} listenOnly
+ * @property {boolean} canSpeak
+ * @property {string|null} hostId
+ * @property {Object[]} history Recent messages translated into the user's language
+ * @property {string} sessionToken
+ */
+
+/**
+ * @typedef {Object} LiveTranslation
+ * @property {string} messageId Shared by a segment's drafts and its final text
+ * @property {string} originalText
+ * @property {string} translatedText
+ * @property {string} sourceLanguage
+ * @property {string} targetLanguage
+ * @property {string} speakerName
+ * @property {string} speakerId
+ * @property {boolean} isInterim
+ * @property {string} segmentId
+ * @property {number} sequence
+ * @property {string} timestamp
+ */
+
+/**
+ * @typedef {Object} RoomMessage
+ * @property {string} messageId
+ * @property {string} originalText
+ * @property {string} sourceLanguage
+ * @property {string} speakerName
+ * @property {string} speakerId
+ * @property {'speech'|'text'} messageType
+ * @property {string} timestamp
+ */
+
+/**
+ * @typedef {Object} TranslationResult
+ * @property {string} originalText
+ * @property {string} translatedText
+ * @property {string} sourceLanguage
+ * @property {string} targetLanguage
+ * @property {string} service Provider that translated it
+ * @property {boolean} fromCache
+ */
+
+/**
+ * Events and their payloads; every other server event (host controls, floor, audience...)
+ * can be listened to as well.
+ * @typedef {{
+ *   'connect': void,
+ *   'disconnect': string,
+ *   'room-joined': RoomJoined,
+ *   'join-refused': { roomId: string, reason: string, message: string },
+ *   'room-left': { roomId: string },
+ *   'session-resumed': RoomJoined & { missed: Object[] },
+ *   'live-translation': LiveTranslation,
+ *   'new-message': RoomMessage,
+ *   'user-joined': { userId: string, userName: string, userLanguage: string, timestamp: string },
+ *   'user-left': { userId: string, userName: string, reason: string, timestamp: string },
+ *   'user-language-changed': { userId: string, userName: string, newLanguage: string, timestamp: string },
+ *   'kicked': { roomId: string, message: string },
+ *   'room-closed': { roomId: string, message: string },
+ *   'error': { message: string }
+ * }} ClientEvents
+ */
+
+class TranslationError extends Error {
+    constructor(message, status) {
+        super(message);
+        this.name = 'TranslationError';
+        this.status = status;
+    }
+}
+
+class LiveTranslationClient {
+    /** @param {ClientOptions} [options] */
+    constructor(options = {}) {
+        this.baseUrl = (options.baseUrl || '').replace(/\/$/, '');
+        this.apiKey = options.apiKey || null;
+        this.handlers = new Map(); // event -> handlers, each event forwarded from the socket once
+        this.room = null; // JoinOptions of the room we are in, kept to rejoin
+        this.sessionToken = null;
+        this.lastMessageId = null;
+        this.segment = null;
+        this.segmentCounter = 0;
+
+        this.socket = options.socket || this.createSocket(options);
+        this.setupSocket();
+    }
+
+    // realtime.js brings the SSE fallback; plain Socket.IO works too
+    createSocket(options) {
+        if (typeof RealtimeClient === 'function') {
+            return new RealtimeClient({ baseUrl: this.baseUrl, transport: options.transport, apiKey: this.apiKey });
+        }
+
+        const connect = options.io || (typeof io === 'function' ? io : null);
+        if (!connect) {
+            throw new Error('Load socket.io.js (or realtime.js) before the Live Translation SDK, or pass options.io');
+        }
+        return connect(this.baseUrl || undefined, this.apiKey ? { auth: { apiKey: this.apiKey } } : undefined);
+    }
+
+    get connected() {
+        return !!this.socket.connected;
+    }
+
+    get id() {
+        return this.socket.id;
+    }
+
+    setupSocket() {
+        this.socket.on('connect', () => {
+            // Back after a dropped connection: take our seat back
+            if (this.room && this.sessionToken) {
+                this.socket.emit('resume-session', { sessionToken: this.sessionToken, lastMessageId: this.lastMessageId });
+            }
+        });
+
+        this.socket.on('room-joined', (data) => {
+            this.sessionToken = data.sessionToken;
+            const last = data.history && data.history[data.history.length - 1];
+            if (last) this.lastMessageId = last.messageId;
+        });
+
+        this.socket.on('session-resumed', (data) => {
+            this.sessionToken = data.sessionToken;
+            const last = data.missed && data.missed[data.missed.length - 1];
+            if (last) this.lastMessageId = last.messageId;
+        });
+
+        // The seat is gone; join again as a new participant
+        this.socket.on('session-expired', () => {
+            this.sessionToken = null;
+            if (this.room) this.emitJoin(this.room);
+        });
+
+        this.socket.on('live-translation', (data) => {
+            if (!data.isInterim) this.lastMessageId = data.messageId;
+        });
+
+        this.socket.on('new-message', (data) => {
+            this.lastMessageId = data.messageId;
+        });
+
+        // Removed for good: no resuming or rejoining
+        ['kicked', 'room-closed'].forEach((event) => {
+            this.socket.on(event, () => {
+                this.room = null;
+                this.sessionToken = null;
+            });
+        });
+    }
+
+    /**
+     * Listen for a server event (see ClientEvents).
+     * @template {keyof ClientEvents} K
+     * @param {K} event
+     * @param {(data: ClientEvents[K]) => void} handler
+     * @returns {LiveTranslationClient}
+     */
+    on(event, handler) {
+        if (!this.handlers.has(event)) {
+            this.handlers.set(event, []);
+            this.socket.on(event, data => this.dispatch(event, data));
+        }
+        this.handlers.get(event).push(handler);
+        return this;
+    }
+
+    /**
+     * @template {keyof ClientEvents} K
+     * @param {K} event
+     * @param {(data: ClientEvents[K]) => void} handler
+     * @returns {LiveTranslationClient}
+     */
+    once(event, handler) {
+        const wrapper = (data) => {
+            this.off(event, wrapper);
+            handler(data);
+        };
+        return this.on(event, wrapper);
+    }
+
+    off(event, handler) {
+        const handlers = this.handlers.get(event);
+        if (handlers) this.handlers.set(event, handlers.filter(existing => existing !== handler));
+        return this;
+    }
+
+    dispatch(event, data) {
+        (this.handlers.get(event) || []).slice().forEach(handler => handler(data));
+    }
+
+    /**
+     * Join (or create) a room. Resolves with `room-joined`, rejects with the `join-refused` reason
+     * or the server's `error`.
+     * @param {JoinOptions} options
+     * @returns {Promise<RoomJoined>}
+     */
+    joinRoom(options) {
+        if (!options || !options.roomId) return Promise.reject(new Error('roomId is required'));
+
+        this.room = { ...options };
+        this.sessionToken = null;
+        this.lastMessageId = null;
+
+        return new Promise((resolve, reject) => {
+            const settle = () => {
+                this.off('room-joined', onJoined);
+                this.off('join-refused', onRefused);
+                this.off('error', onRefused);
+            };
+            const onJoined = (data) => {
+                settle();
+                resolve(data);
+            };
+            const onRefused = (data) => {
+                settle();
+                this.room = null;
+                const error = new Error(data.message);
+                error.reason = data.reason;
+                reject(error);
+            };
+
+            this.on('room-joined', onJoined);
+            this.on('join-refused', onRefused);
+            this.on('error', onRefused);
+            this.emitJoin(this.room);
+        });
+    }
+
+    /**
+     * Leave the room for good: unlike a dropped connection, no seat is held for a resume.
+     * Resolves once the server confirms.
+     * @returns {Promise<void>}
+     */
+    leaveRoom() {
+        if (!this.room) return Promise.resolve();
+
+        this.room = null;
+        this.sessionToken = null;
+        this.segment = null;
+
+        return new Promise((resolve, reject) => {
+            const settle = () => {
+                this.off('room-left', onLeft);
+                this.off('error', onError);
+            };
+            const onLeft = () => {
+                settle();
+                resolve();
+            };
+            const onError = (data) => {
+                settle();
+                reject(new Error(data.message));
+            };
+
+            this.on('room-left', onLeft);
+            this.on('error', onError);
+            this.socket.emit('leave-room');
+        });
+    }
+
+    /**
+     * Leave the room and close the connection.
+     * @returns {Promise<void>}
+     */
+    async close() {
+        try {
+            if (this.room && this.connected) await this.leaveRoom();
+        } finally {
+            this.room = null;
+            this.sessionToken = null;
+            this.socket.disconnect();
+        }
+    }
+
+    emitJoin(room) {
+        this.socket.emit('join-room', {
+            roomId: room.roomId,
+            userName: room.userName,
+            userLanguage: room.language,
+            inviteToken: room.inviteToken,
+            password: room.password,
+            hostToken: room.hostToken,
+            role: room.role,
+            glossaryIds: room.glossaryIds
+        });
+    }
+
+    /**
+     * Send recognized speech. Drafts (`interim: true`) and the final text of one utterance
+     * share a segment; listeners see the draft replaced by each update.
+     * @param {string} text
+     * @param {{ interim?: boolean }} [options]
+     */
+    sendSpeech(text, options = {}) {
+        if (!this.segment) {
+            this.segmentCounter++;
+            this.segment = { id: `${Date.now().toString(36)}-${this.segmentCounter}`, sequence: 0 };
+        }
+
+        const segment = this.segment;
+        segment.sequence++;
+        if (!options.interim) this.segment = null;
+
+        this.socket.emit('live-speech', {
+            text,
+            isInterim: !!options.interim,
+            segmentId: segment.id,
+            sequence: segment.sequence
+        });
+    }
+
+    /**
+     * Send a typed message to the room.
+     * @param {string} text
+     */
+    sendMessage(text) {
+        this.socket.emit('conversation-message', { text, messageType: 'text' });
+    }
+
+    /**
+     * Change the language you speak and read in the room.
+     * @param {string} language
+     */
+    changeLanguage(language) {
+        if (this.room) this.room.language = language;
+        this.socket.emit('change-language', { language });
+    }
+
+    /**
+     * Translate text through the server's providers, outside any room.
+     * @param {string} text
+     * @param {string} targetLanguage
+     * @param {{ sourceLanguage?: string, glossaryIds?: string[] }} [options]
+     * @returns {Promise<TranslationResult>}
+     */
+    async translate(text, targetLanguage, options = {}) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) headers['X-API-Key'] = this.apiKey;
+
+        const response = await fetch(`${this.baseUrl}/api/translate`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({
+                text,
+                targetLanguage,
+                sourceLanguage: options.sourceLanguage || 'auto',
+                glossaryIds: options.glossaryIds
+            })
+        });
+        const data = await response.json().catch(() => ({}));
+
+        if (!response.ok || !data.success) {
+            throw new TranslationError(data.error || `Translation failed (HTTP ${response.status})`, response.status);
+        }
+        return data;
+    }
+
+    // Drops the connection: the seat is held for the grace period, then the room hears
+    // user-left. leaveRoom() and close() leave at once.
+    disconnect() {
+        this.room = null;
+        this.sessionToken = null;
+        this.socket.disconnect();
+    }
+}
+
+// Export for bundlers and plain script tags
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LiveTranslationClient, TranslationError };
+} else {
+    window.LiveTranslationClient = LiveTranslationClient;
+    window.TranslationError = TranslationError;
+}
@@ -9,6 +9,7 @@ const STATIC_FILES = [
     '/index.html',
     '/styles.css',
     '/app.js',
+    '/realtime.js',
     '/voice-engine.js',
     '/performance-optimizer.js',
     'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css',
@@ -52,6 +53,11 @@ self.addEventListener('fetch', (event) => {
     const { request } = event;
     const url = new URL(request.url);
 
+    // Realtime streams and their posts must always reach the server
+    if (url.pathname.startsWith('/realtime/') || url.pathname.startsWith('/socket.io/')) {
+        return;
+    }
+
     // Handle API requests differently
     if (url.pathname.startsWith('/api/')) {
         event.respondWith(handleApiRequest(request));
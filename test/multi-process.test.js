@@ -0,0 +1,214 @@
+const path = require('path');
+const net = require('net');
+const { spawn } = require('child_process');
+const { io } = require('socket.io-client');
+const { createHubServer } = require('../lib/state/hub');
+
+// Two server processes sharing state through the TCP hub (STATE_BACKEND=hub): room
+// broadcasts, session resumes and long-polling requests cross between them, and losing the
+// hub fails requests instead of hanging or crashing the servers.
+
+jest.setTimeout(30000);
+
+const ROOT = path.join(__dirname, '..');
+
+const sockets = [];
+let hubPort;
+let hub;
+let servers;
+let ports;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.on('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+// The hub, with its client connections tracked so the test can drop them
+function startHub(port) {
+  const hub = createHubServer();
+  const sockets = new Set();
+  hub.on('connection', (socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+  });
+
+  return new Promise((resolve) => {
+    hub.listen(port, '127.0.0.1', () => resolve({
+      close: () => new Promise((closed) => {
+        hub.close(() => closed());
+        sockets.forEach(socket => socket.destroy());
+      })
+    }));
+  });
+}
+
+function startServer(port, hubPort) {
+  const child = spawn(process.execPath, ['server.js'], {
+    cwd: ROOT,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      STATE_BACKEND: 'hub',
+      STATE_HUB_URL: `127.0.0.1:${hubPort}`,
+      ROOM_INVITE_SECRET: 'multi-process-test',
+      TRANSLATION_PROVIDERS: 'echo',
+      ROOM_STORE: 'shared'
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  return new Promise((resolve, reject) => {
+    let output = '';
+    const onData = (chunk) => {
+      output += chunk;
+      if (output.includes('running on port')) resolve(child);
+    };
+    child.stdout.on('data', onData);
+    child.stderr.on('data', chunk => { output += chunk; });
+    child.on('exit', code => reject(new Error(`Server exited with ${code}:\n${output}`)));
+  });
+}
+
+function connect(port) {
+  const socket = io(`http://127.0.0.1:${port}`, { transports: ['websocket'], reconnection: false });
+  sockets.push(socket);
+  return socket;
+}
+
+function nextEvent(socket, event, timeoutMs = 5000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`No ${event} within ${timeoutMs}ms`)), timeoutMs);
+    socket.once(event, (data) => {
+      clearTimeout(timer);
+      resolve(data);
+    });
+  });
+}
+
+// The seat is only held once the process the client dropped from has handled the disconnect;
+// until then the resume is refused, so ask again for a moment
+function resume(socket, sessionToken, timeoutMs = 5000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`No session-resumed within ${timeoutMs}ms`)), timeoutMs);
+    socket.on('session-expired', () => {
+      setTimeout(() => socket.emit('resume-session', { sessionToken }), 100);
+    });
+    socket.once('session-resumed', (session) => {
+      clearTimeout(timer);
+      resolve(session);
+    });
+    socket.emit('resume-session', { sessionToken });
+  });
+}
+
+// A long-polling connection whose requests go to `ports` in turn
+async function pollClient(ports) {
+  let turn = 0;
+  const base = () => `http://127.0.0.1:${ports[turn++ % ports.length]}/realtime/poll`;
+  const { id, token } = await (await fetch(`${base()}/connect`, { method: 'POST' })).json();
+
+  return {
+    id,
+    emit: (event, data) => fetch(`${base()}/emit`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ id, token, event, data })
+    }),
+    // Poll until `event` arrives
+    next: async (event) => {
+      for (let attempt = 0; attempt < 5; attempt++) {
+        const { events } = await (await fetch(`${base()}?id=${id}`, { headers: { 'X-Connection-Token': token } })).json();
+        const found = events.find(entry => entry.event === event);
+        if (found) return found.data;
+      }
+      throw new Error(`No ${event} polled`);
+    }
+  };
+}
+
+async function join(socket, roomId, userName, userLanguage) {
+  const joined = nextEvent(socket, 'room-joined');
+  socket.emit('join-room', { roomId, userName, userLanguage });
+  return joined;
+}
+
+beforeAll(async () => {
+  hubPort = await freePort();
+  hub = await startHub(hubPort);
+  ports = [await freePort(), await freePort()];
+  servers = await Promise.all(ports.map(port => startServer(port, hubPort)));
+});
+
+afterEach(() => {
+  sockets.splice(0).forEach(socket => socket.close());
+});
+
+afterAll(async () => {
+  (servers || []).forEach(server => server.kill());
+  if (hub) await hub.close();
+});
+
+test('a message spoken on one process reaches a listener on the other', async () => {
+  const speaker = connect(ports[0]);
+  const listener = connect(ports[1]);
+  await join(speaker, 'CROSS1', 'Ana', 'en');
+  await join(listener, 'CROSS1', 'Luis', 'es');
+
+  const translated = nextEvent(listener, 'live-translation');
+  speaker.emit('live-speech', { text: 'hello', isInterim: false, segmentId: 'seg-1', sequence: 1 });
+
+  const translation = await translated;
+  expect(translation.originalText).toBe('hello');
+  expect(translation.targetLanguage).toBe('es');
+  expect(translation.speakerName).toBe('Ana');
+});
+
+test('a session dropped on one process resumes on the other', async () => {
+  const first = connect(ports[0]);
+  const other = connect(ports[1]);
+  const { sessionToken } = await join(first, 'CROSS2', 'Ana', 'en');
+  await join(other, 'CROSS2', 'Luis', 'es');
+  first.close();
+
+  const second = connect(ports[1]);
+  const session = await resume(second, sessionToken);
+  expect(session.roomId).toBe('CROSS2');
+  expect(session.users.map(user => user.name)).toEqual(expect.arrayContaining(['Ana', 'Luis']));
+});
+
+test('a long-polling client is served by whichever process gets each request', async () => {
+  const speaker = connect(ports[0]);
+  const listener = await pollClient(ports);
+  await join(speaker, 'CROSS3', 'Ana', 'en');
+  await listener.emit('join-room', { roomId: 'CROSS3', userName: 'Luis', userLanguage: 'es' });
+  const joined = await listener.next('room-joined');
+  expect(joined.users.map(user => user.id)).toContain(listener.id);
+
+  speaker.emit('live-speech', { text: 'hello', isInterim: false, segmentId: 'seg-1', sequence: 1 });
+  const translation = await listener.next('live-translation');
+  expect(translation.originalText).toBe('hello');
+  expect(translation.targetLanguage).toBe('es');
+});
+
+test('requests fail while the hub is down and work again once it is back', async () => {
+  await hub.close();
+  await new Promise(resolve => setTimeout(resolve, 100));
+
+  const down = await fetch(`http://127.0.0.1:${ports[0]}/api/health`, { signal: AbortSignal.timeout(5000) });
+  expect(down.status).toBe(500);
+  servers.forEach(server => expect(server.exitCode).toBeNull());
+
+  hub = await startHub(hubPort);
+  let status = null;
+  for (let attempt = 0; attempt < 40 && status !== 200; attempt++) {
+    await new Promise(resolve => setTimeout(resolve, 250));
+    status = (await fetch(`http://127.0.0.1:${ports[0]}/api/health`)).status;
+  }
+  expect(status).toBe(200);
+});